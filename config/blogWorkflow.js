@@ -0,0 +1,56 @@
+// Editorial workflow for blog posts.
+// Each status lists the statuses it can move to and the permission the move needs.
+
+export const BLOG_STATUSES = ['draft', 'in_review', 'approved', 'scheduled', 'published', 'archived'];
+
+export const BLOG_TRANSITIONS = {
+  draft: {
+    in_review: 'blog:write'
+  },
+  in_review: {
+    approved: 'blog:review',
+    draft: 'blog:review'
+  },
+  approved: {
+    published: 'blog:publish',
+    scheduled: 'blog:publish',
+    draft: 'blog:review'
+  },
+  scheduled: {
+    approved: 'blog:publish',
+    published: 'blog:publish'
+  },
+  published: {
+    archived: 'blog:publish',
+    draft: 'blog:publish'
+  },
+  archived: {
+    published: 'blog:publish',
+    draft: 'blog:write'
+  }
+};
+
+// Moves that send a post back to its author for changes
+export const SEND_BACK_TRANSITIONS = [
+  ['in_review', 'draft'],
+  ['approved', 'draft']
+];
+
+// Get the permission needed to move a post between two statuses (null if not allowed)
+export const getTransitionPermission = (from, to) => {
+  return (BLOG_TRANSITIONS[from] || {})[to] || null;
+};
+
+// Check whether a move is a send-back
+export const isSendBack = (from, to) => {
+  return SEND_BACK_TRANSITIONS.some(([source, target]) => source === from && target === to);
+};
+
+// Statuses past review: the reviewed version is what goes (or went) live, so editing or deleting needs blog:publish.
+// To change it, the post is moved back to draft first.
+export const LOCKED_STATUSES = ['approved', 'scheduled', 'published'];
+
+// Get the permission needed to edit or delete a post in a status
+export const getEditPermission = (status) => {
+  return LOCKED_STATUSES.includes(status) ? 'blog:publish' : 'blog:write';
+};
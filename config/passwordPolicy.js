@@ -0,0 +1,23 @@
+// Password policy for admin accounts, configurable through environment variables
+
+const toBoolean = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  return value === 'true';
+};
+
+const toInteger = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const passwordPolicy = {
+  minLength: toInteger(process.env.PASSWORD_MIN_LENGTH, 8),
+  requireUppercase: toBoolean(process.env.PASSWORD_REQUIRE_UPPERCASE, true),
+  requireLowercase: toBoolean(process.env.PASSWORD_REQUIRE_LOWERCASE, true),
+  requireNumber: toBoolean(process.env.PASSWORD_REQUIRE_NUMBER, true),
+  requireSymbol: toBoolean(process.env.PASSWORD_REQUIRE_SYMBOL, false),
+  // Number of previous password hashes that cannot be reused (0 disables the check)
+  historySize: toInteger(process.env.PASSWORD_HISTORY, 5)
+};
+
+export default passwordPolicy;
@@ -0,0 +1,52 @@
+// Admin roles and the permissions each one grants.
+// Routes declare the permission they need with `authorize(...)` from middleware/auth.js.
+
+export const ROLES = ['owner', 'editor', 'support', 'viewer'];
+
+export const DEFAULT_ROLE = 'viewer';
+
+export const PERMISSIONS = [
+  'blog:read',
+  'blog:write',
+  'blog:review',
+  'blog:publish',
+  'categories:manage',
+  'tags:manage',
+  'comments:moderate',
+  'contacts:read',
+  'contacts:write',
+  'stats:read',
+  'stats:write',
+  'uploads:read',
+  'uploads:write',
+  'newsletter:read',
+  'newsletter:send',
+  'admins:manage',
+  'apiKeys:manage',
+  'audit:read',
+  'system:manage'
+];
+
+const READ_ONLY = ['blog:read', 'contacts:read', 'stats:read', 'uploads:read', 'newsletter:read'];
+
+export const ROLE_PERMISSIONS = {
+  owner: [...PERMISSIONS],
+  editor: [...READ_ONLY, 'blog:write', 'blog:review', 'categories:manage', 'tags:manage', 'comments:moderate', 'uploads:write', 'stats:write'],
+  support: [...READ_ONLY, 'contacts:write'],
+  viewer: [...READ_ONLY]
+};
+
+// Scopes an API key may carry; managing admins, keys and the system needs a signed-in owner
+export const API_KEY_SCOPES = PERMISSIONS.filter(
+  permission => !['admins:manage', 'apiKeys:manage', 'system:manage'].includes(permission)
+);
+
+// Get the permissions granted to a role (unknown roles get none)
+export const getRolePermissions = (role) => {
+  return ROLE_PERMISSIONS[role] || [];
+};
+
+// Check whether a role grants a permission
+export const hasPermission = (role, permission) => {
+  return getRolePermissions(role).includes(permission);
+};
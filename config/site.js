@@ -0,0 +1,36 @@
+// Public site details used in feeds, sitemaps and SEO metadata.
+
+export const SITE_NAME = 'Bahoju Tech';
+
+export const SITE_DESCRIPTION = 'Insights on software development, cloud computing, digital marketing and training from Bahoju Tech.';
+
+// Base URL of the public website (no trailing slash)
+export const getSiteUrl = () => {
+  return (process.env.SITE_URL || process.env.FRONTEND_URL || 'https://bahojutech.com').replace(/\/+$/, '');
+};
+
+// Public base URL of this API (no trailing slash), used for links to feeds and sitemaps.
+// Defaults to the website URL, for sites that serve the API under /api on the same host.
+export const getApiUrl = () => {
+  return (process.env.API_URL || getSiteUrl()).replace(/\/+$/, '');
+};
+
+// Public URL of a blog post
+export const getPostUrl = (slug) => {
+  return `${getSiteUrl()}/blog/${encodeURIComponent(slug)}`;
+};
+
+// Public URL of a category listing
+export const getCategoryUrl = (category) => {
+  return `${getSiteUrl()}/blog?category=${encodeURIComponent(category)}`;
+};
+
+// Public URL of a tag listing
+export const getTagUrl = (tag) => {
+  return `${getSiteUrl()}/blog?tag=${encodeURIComponent(tag)}`;
+};
+
+// Public URL of a preview link for an unpublished post
+export const getPreviewUrl = (token) => {
+  return `${getSiteUrl()}/blog/preview/${encodeURIComponent(token)}`;
+};
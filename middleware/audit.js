@@ -0,0 +1,24 @@
+import { createAuditContext, runWithAuditContext, recordAudit } from '../utils/auditContext.js';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Give every request an audit context so model hooks know who made a change.
+// Authenticated writes that didn't touch an audited model (file uploads, emails,
+// session changes) still get one entry describing the request itself.
+export const auditTrail = (req, res, next) => {
+  const context = createAuditContext(req);
+
+  if (!SAFE_METHODS.includes(req.method)) {
+    res.on('finish', () => {
+      if (res.statusCode >= 400 || context.entries > 0) return;
+
+      recordAudit({
+        action: 'request',
+        resourceType: req.originalUrl.split('?')[0].split('/')[2] || 'api',
+        metadata: { statusCode: res.statusCode }
+      }, context);
+    });
+  }
+
+  runWithAuditContext(context, next);
+};
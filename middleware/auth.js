@@ -1,107 +1,223 @@
 import jwt from 'jsonwebtoken';
 import Admin from '../models/Admin.js';
+import ApiKey from '../models/ApiKey.js';
+import Session from '../models/Session.js';
+import { getRolePermissions } from '../config/roles.js';
+import { hashToken } from '../utils/tokenHelper.js';
+import { parseCookies, ACCESS_TOKEN_COOKIE } from '../utils/cookieHelper.js';
 
-// Protect routes - require authentication
-export const protect = async (req, res, next) => {
-  try {
-    let token;
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Build the principal attached to req.user for every authenticated request.
+// `id` is always the acting admin, so handlers can use req.user.id for authorship
+// whether the caller signed in or used one of that admin's API keys.
+export const createPrincipal = (admin, { type = 'admin', permissions, sessionId = null, apiKey = null } = {}) => {
+  const granted = permissions || getRolePermissions(admin.role);
 
-    // Check for token in headers
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
+  return {
+    type,
+    id: admin.id,
+    _id: admin._id,
+    name: apiKey ? apiKey.name : admin.name,
+    email: admin.email,
+    role: admin.role,
+    permissions: granted,
+    sessionId,
+    apiKeyId: apiKey ? apiKey.id : null,
+    admin,
+    can(permission) {
+      return granted.includes(permission);
     }
+  };
+};
+
+// Find the credential sent with the request: Bearer token, API key or auth cookie
+const getCredential = (req) => {
+  const authorization = req.headers.authorization || '';
+
+  if (authorization.startsWith('Bearer ')) {
+    return { type: 'jwt', value: authorization.slice(7).trim(), fromCookie: false };
+  }
+  if (authorization.startsWith('ApiKey ')) {
+    return { type: 'apiKey', value: authorization.slice(7).trim() };
+  }
+  if (req.headers['x-api-key']) {
+    return { type: 'apiKey', value: String(req.headers['x-api-key']).trim() };
+  }
+
+  const cookies = parseCookies(req.headers.cookie);
+  if (cookies[ACCESS_TOKEN_COOKIE]) {
+    return { type: 'jwt', value: cookies[ACCESS_TOKEN_COOKIE], fromCookie: true };
+  }
+
+  return null;
+};
+
+// Resolve an access token to a principal, or a rejection message
+const authenticateToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return { message: 'Not authorized to access this route' };
+  }
+
+  // Challenge tokens from the first login step are not access tokens
+  if (decoded.purpose) {
+    return { message: 'Not authorized to access this route' };
+  }
+
+  const admin = await Admin.findById(decoded.id);
+  if (!admin) {
+    return { message: 'Admin not found' };
+  }
+
+  // Deactivated admins lose access immediately
+  if (!admin.isActive) {
+    return { message: 'Account has been deactivated' };
+  }
+
+  // Reject tokens issued before the last password change
+  if (admin.changedPasswordAfter(decoded.iat)) {
+    return { message: 'Password was changed recently. Please log in again' };
+  }
+
+  // Reject tokens whose session was logged out or revoked
+  const sessionActive = decoded.sid && await Session.exists({
+    _id: decoded.sid,
+    admin: decoded.id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  if (!sessionActive) {
+    return { message: 'Session has ended. Please log in again' };
+  }
+
+  return { principal: createPrincipal(admin, { sessionId: decoded.sid }) };
+};
+
+// Resolve an API key to a principal, or a rejection message
+const authenticateApiKey = async (key, req) => {
+  const apiKey = await ApiKey.findOne({ key: hashToken(key), revokedAt: null }).populate('createdBy');
+
+  if (!apiKey) {
+    return { message: 'Invalid API key' };
+  }
+
+  if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+    return { message: 'API key has expired' };
+  }
+
+  const admin = apiKey.createdBy;
+  if (!admin || !admin.isActive) {
+    return { message: 'API key owner is no longer active' };
+  }
+
+  // A key never grants more than its creator's role currently allows
+  const rolePermissions = getRolePermissions(admin.role);
+  const permissions = apiKey.scopes.filter(scope => rolePermissions.includes(scope));
+
+  // Record usage (async, don't wait for it)
+  apiKey.touch(req.ip).catch(err => {
+    console.error('Failed to record API key usage:', err);
+  });
+
+  return { principal: createPrincipal(admin, { type: 'apiKey', permissions, apiKey }) };
+};
+
+// Protect routes - require authentication by access token, auth cookie or API key
+export const protect = async (req, res, next) => {
+  try {
+    const credential = getCredential(req);
 
-    if (!token) {
+    if (!credential || !credential.value) {
       return res.status(401).json({
         success: false,
         message: 'Not authorized to access this route'
       });
     }
 
-    try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
-      // Get admin from token
-      req.user = await Admin.findById(decoded.id).select('-password');
-      
-      if (!req.user) {
-        return res.status(401).json({
-          success: false,
-          message: 'Admin not found'
-        });
-      }
-
-      next();
-    } catch (error) {
+    // Browsers send cookies automatically, so cookie-authenticated writes must also
+    // carry a header that cross-site forms cannot set
+    if (credential.fromCookie && !SAFE_METHODS.includes(req.method) && !req.get('x-requested-with')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Missing X-Requested-With header'
+      });
+    }
+
+    const result = credential.type === 'apiKey'
+      ? await authenticateApiKey(credential.value, req)
+      : await authenticateToken(credential.value);
+
+    if (!result.principal) {
       return res.status(401).json({
         success: false,
-        message: 'Not authorized to access this route'
+        message: result.message
       });
     }
-  } catch (error) {
-    next(error);
-  }
-};
 
-// Admin only access (simplified - all authenticated users are admins)
-export const adminOnly = (req, res, next) => {
-  if (req.user) {
+    req.user = result.principal;
     next();
-  } else {
-    res.status(403).json({
-      success: false,
-      message: 'Access denied. Admin privileges required.'
-    });
+  } catch (error) {
+    next(error);
   }
 };
 
-// Combined authentication and admin check
-export const authenticateAdmin = async (req, res, next) => {
-  try {
-    let token;
-
-    // Check for token in headers
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
-    }
-
-    if (!token) {
+// Restrict access to principals granted every listed permission
+export const authorize = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
       return res.status(401).json({
         success: false,
         message: 'Not authorized to access this route'
       });
     }
 
-    try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
-      // Get admin from token
-      req.admin = await Admin.findById(decoded.id).select('-password');
-      
-      if (!req.admin) {
-        return res.status(401).json({
-          success: false,
-          message: 'Admin not found'
-        });
-      }
-
-      next();
-    } catch (error) {
-      return res.status(401).json({
+    const missing = permissions.filter(permission => !req.user.can(permission));
+    if (missing.length > 0) {
+      return res.status(403).json({
         success: false,
-        message: 'Not authorized to access this route'
+        message: `Access denied. Requires permission: ${missing.join(', ')}`
       });
     }
-  } catch (error) {
-    next(error);
+
+    next();
+  };
+};
+
+// Restrict a route to admins signed in with a session (not API keys)
+export const sessionOnly = (req, res, next) => {
+  if (!req.user || req.user.type !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'This route requires an admin login session'
+    });
   }
+
+  next();
+};
+
+// Generate short-lived JWT access token bound to a session
+export const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m'
+  });
 };
 
-// Generate JWT token
-export const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+// Generate a short-lived token proving the password step of login succeeded
+export const generateChallengeToken = (id, purpose) => {
+  return jwt.sign({ id, purpose }, process.env.JWT_SECRET, {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m'
   });
 };
+
+// Verify a login challenge token, returning its payload or null
+export const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
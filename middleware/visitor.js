@@ -0,0 +1,35 @@
+import crypto from 'crypto';
+import { parseCookies, setVisitorCookie, VISITOR_COOKIE } from '../utils/cookieHelper.js';
+import { signValue, unsignValue } from '../utils/tokenHelper.js';
+import { getVisitorId } from '../utils/viewTracker.js';
+
+// Label for deriving the visitor cookie key from JWT_SECRET when VISITOR_COOKIE_SECRET is not set
+const VISITOR_KEY_LABEL = 'bahoju:visitor-cookie';
+
+// Key signing the visitor cookie: VISITOR_COOKIE_SECRET, or a key derived from JWT_SECRET
+const getVisitorSecret = () => {
+  if (process.env.VISITOR_COOKIE_SECRET) {
+    return process.env.VISITOR_COOKIE_SECRET;
+  }
+  return crypto.createHmac('sha256', String(process.env.JWT_SECRET)).update(VISITOR_KEY_LABEL).digest('hex');
+};
+
+// Identify an anonymous visitor by a signed cookie, issuing one on the first visit.
+// Sets req.visitor = { id, fingerprint }; the fingerprint (hash of IP address and user agent)
+// is kept alongside so clients that drop cookies can still be limited.
+export const identifyVisitor = (req, res, next) => {
+  const secret = getVisitorSecret();
+  const cookies = parseCookies(req.headers.cookie);
+  let id = unsignValue(cookies[VISITOR_COOKIE], secret);
+
+  if (!id) {
+    id = crypto.randomUUID();
+    setVisitorCookie(res, signValue(id, secret));
+  }
+
+  req.visitor = {
+    id,
+    fingerprint: getVisitorId(req)
+  };
+  next();
+};
@@ -1,5 +1,10 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { ROLES, DEFAULT_ROLE, getRolePermissions, hasPermission } from '../config/roles.js';
+import passwordPolicy from '../config/passwordPolicy.js';
+import { createToken, hashToken } from '../utils/tokenHelper.js';
+import { verifyCode } from '../utils/totp.js';
+import auditPlugin from '../utils/auditPlugin.js';
 
 const adminSchema = new mongoose.Schema({
   name: {
@@ -24,6 +29,11 @@ const adminSchema = new mongoose.Schema({
     minlength: 6,
     select: false
   },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: DEFAULT_ROLE
+  },
   avatar: {
     type: String,
     default: null
@@ -35,6 +45,66 @@ const adminSchema = new mongoose.Schema({
   lastLogin: {
     type: Date,
     default: null
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    },
+    secret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    // Secret generated during enrolment, promoted to `secret` once a code is confirmed
+    pendingSecret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    // Hashes of unused one-time recovery codes
+    recoveryCodes: {
+      type: [String],
+      default: [],
+      select: false
+    },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      default: null,
+      select: false
+    }
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  passwordHistory: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  passwordResetToken: {
+    type: String,
+    default: null,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null,
+    select: false
   }
 }, {
   timestamps: true
@@ -43,11 +113,24 @@ const adminSchema = new mongoose.Schema({
 // Encrypt password using bcrypt
 adminSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
 
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+
+  // Keep the most recent hashes so old passwords cannot be reused
+  let history = this.passwordHistory || [];
+  if (!this.isNew && !this.isSelected('passwordHistory')) {
+    const existing = await this.constructor.findById(this._id).select('+passwordHistory');
+    history = existing ? existing.passwordHistory : [];
+  }
+  this.passwordHistory = [this.password, ...history].slice(0, Math.max(passwordPolicy.historySize, 1));
+
+  // Record when the password changed so older tokens stop working
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+  }
 });
 
 // Match admin entered password to hashed password in database
@@ -55,10 +138,143 @@ adminSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Update last login
+// Check whether a password matches the current one or any remembered previous hash
+// Requires the document to be loaded with +password +passwordHistory
+adminSchema.methods.isPasswordReused = async function(enteredPassword) {
+  if (passwordPolicy.historySize === 0) {
+    return false;
+  }
+
+  const hashes = [...new Set([this.password, ...(this.passwordHistory || [])].filter(Boolean))]
+    .slice(0, passwordPolicy.historySize);
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(enteredPassword, hash)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+// Check whether the password changed after a token was issued
+adminSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt) {
+    return false;
+  }
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
+// Generate a password reset token, storing only its hash
+adminSchema.methods.createPasswordResetToken = function() {
+  const { token, hashedToken } = createToken();
+  const expireMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+
+  this.passwordResetToken = hashedToken;
+  this.passwordResetExpires = new Date(Date.now() + expireMinutes * 60 * 1000);
+
+  return token;
+};
+
+// Generate a fresh set of recovery codes, storing only their hashes
+adminSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const { token } = createToken(5);
+    return `${token.slice(0, 5)}-${token.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(code => hashToken(code));
+  return codes;
+};
+
+// Verify a TOTP code against the enabled secret, rejecting replays of the last used code
+// Requires the document to be loaded with +twoFactor.secret +twoFactor.lastUsedStep
+adminSchema.methods.verifyTwoFactorCode = async function(code) {
+  if (!this.twoFactor.secret) {
+    return false;
+  }
+
+  const step = verifyCode(this.twoFactor.secret, code);
+  if (step === null) {
+    return false;
+  }
+
+  // Record the step atomically so the same code cannot be used twice
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      $or: [
+        { 'twoFactor.lastUsedStep': null },
+        { 'twoFactor.lastUsedStep': { $lt: step } }
+      ]
+    },
+    { 'twoFactor.lastUsedStep': step }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+// Use up a recovery code
+adminSchema.methods.consumeRecoveryCode = async function(code) {
+  const hashedCode = hashToken(String(code || '').trim().toLowerCase());
+
+  const result = await this.constructor.updateOne(
+    { _id: this._id, 'twoFactor.recoveryCodes': hashedCode },
+    { $pull: { 'twoFactor.recoveryCodes': hashedCode } }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+// Check whether the admin's role grants a permission
+adminSchema.methods.can = function(permission) {
+  return hasPermission(this.role, permission);
+};
+
+// Virtual for the permissions granted by the admin's role
+adminSchema.virtual('permissions').get(function() {
+  return getRolePermissions(this.role);
+});
+
+// Virtual for whether the account is temporarily locked after failed logins
+adminSchema.virtual('isLocked').get(function() {
+  return !!(this.lockUntil && this.lockUntil > new Date());
+});
+
+// Record a failed login, locking the account once the limit is reached
+// Resolves to the lock expiry if this attempt locked the account, otherwise null
+adminSchema.methods.registerFailedLogin = async function() {
+  const maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+  const lockMinutes = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+
+  if (!updated || updated.failedLoginAttempts < maxAttempts) {
+    return null;
+  }
+
+  // Only the request that crosses the limit applies the lock
+  const lockUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+  const result = await this.constructor.updateOne(
+    { _id: this._id, failedLoginAttempts: { $gte: maxAttempts } },
+    { failedLoginAttempts: 0, lockUntil }
+  );
+
+  return result.modifiedCount > 0 ? lockUntil : null;
+};
+
+// Update last login and clear failed login attempts
 adminSchema.methods.updateLastLogin = function() {
   this.lastLogin = new Date();
+  this.failedLoginAttempts = 0;
+  this.lockUntil = null;
   return this.save();
 };
 
+// Record admin changes in the audit log
+adminSchema.plugin(auditPlugin, { resourceType: 'Admin', exclude: ['lastLogin', 'failedLoginAttempts'] });
+
 export default mongoose.model('Admin', adminSchema);
@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+import { API_KEY_SCOPES } from '../config/roles.js';
+import auditPlugin from '../utils/auditPlugin.js';
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  // First characters of the key, shown so admins can tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: API_KEY_SCOPES
+    }],
+    validate: [scopes => scopes.length > 0, 'At least one scope is required']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+// Key index is automatically created by unique: true constraint
+apiKeySchema.index({ createdBy: 1, revokedAt: 1 });
+
+// Virtual for key status
+apiKeySchema.virtual('status').get(function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt && this.expiresAt <= new Date()) return 'expired';
+  return 'active';
+});
+
+// Ensure virtual fields are serialized
+apiKeySchema.set('toJSON', { virtuals: true });
+
+// Method to record that the key was used, at most once a minute to keep writes down
+apiKeySchema.methods.touch = function(ip) {
+  const now = new Date();
+  if (this.lastUsedAt && now - this.lastUsedAt < 60 * 1000) {
+    return Promise.resolve();
+  }
+  return this.constructor.updateOne({ _id: this._id }, { lastUsedAt: now, lastUsedIp: ip });
+};
+
+// Record admin changes in the audit log
+apiKeySchema.plugin(auditPlugin, { resourceType: 'ApiKey', exclude: ['lastUsedAt', 'lastUsedIp'] });
+
+export default mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+export const AUDIT_ACTIONS = ['create', 'update', 'delete', 'bulk_update', 'bulk_delete', 'request'];
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  // Copied from the actor so entries stay readable after the admin is deleted
+  actorName: String,
+  actorEmail: String,
+  actorType: {
+    type: String,
+    enum: ['admin', 'apiKey'],
+    default: 'admin'
+  },
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: AUDIT_ACTIONS
+  },
+  resourceType: {
+    type: String,
+    required: true
+  },
+  resourceId: {
+    type: String,
+    default: null
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  method: String,
+  path: String,
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ resourceType: 1, resourceId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+export default mongoose.model('AuditLog', auditLogSchema);
@@ -1,4 +1,16 @@
 import mongoose from 'mongoose';
+import BlogRevision, { REVISION_FIELDS } from './BlogRevision.js';
+import Category from './Category.js';
+import BlogView from './BlogView.js';
+import BlogViewStats from './BlogViewStats.js';
+import BlogReaction, { REACTION_TYPES } from './BlogReaction.js';
+import Comment from './Comment.js';
+import BlogPreview from './BlogPreview.js';
+import Series from './Series.js';
+import { BLOG_STATUSES } from '../config/blogWorkflow.js';
+import { CONTENT_FORMATS, renderContent, sanitizeContent, calculateReadTime } from '../utils/contentRenderer.js';
+import auditPlugin from '../utils/auditPlugin.js';
+import { getCurrentActor } from '../utils/auditContext.js';
 
 const blogSchema = new mongoose.Schema({
   title: {
@@ -21,25 +33,37 @@ const blogSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Blog content is required']
   },
+  contentFormat: {
+    type: String,
+    enum: CONTENT_FORMATS,
+    default: 'html'
+  },
+  // Sanitized HTML rendered from content on save - this is what clients should display
+  contentHtml: {
+    type: String,
+    default: ''
+  },
+  // Plain text of the content, used for read time and search
+  contentText: {
+    type: String,
+    default: '',
+    select: false
+  },
   author: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Admin',
     required: true
   },
+  // Name of a Category document
   category: {
     type: String,
     required: [true, 'Category is required'],
-    enum: [
-      'Digital Marketing',
-      'Software Development',
-      'Cloud Computing',
-      'Training',
-      'Business Branding',
-      'Technology',
-      'Innovation',
-      'General'
-    ],
-    default: 'General'
+    trim: true,
+    default: 'General',
+    validate: {
+      validator: async name => Boolean(await Category.exists({ name })),
+      message: props => `Category "${props.value}" does not exist`
+    }
   },
   tags: [{
     type: String,
@@ -81,9 +105,38 @@ const blogSchema = new mongoose.Schema({
   }],
   status: {
     type: String,
-    enum: ['draft', 'published', 'archived'],
+    enum: BLOG_STATUSES,
     default: 'draft'
   },
+  // Editorial review details are internal; admin routes load them with `+reviewComments +approvedBy +approvedAt`
+  reviewComments: {
+    type: [{
+      comment: String,
+      addedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+      },
+      // Status change the comment was left with, if any
+      fromStatus: String,
+      toStatus: String,
+      addedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null,
+    select: false
+  },
+  approvedAt: {
+    type: Date,
+    default: null,
+    select: false
+  },
   featured: {
     type: Boolean,
     default: false
@@ -96,6 +149,17 @@ const blogSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Count of each reaction type, kept in step with BlogReaction
+  reactions: Object.fromEntries(REACTION_TYPES.map(type => [type, { type: Number, default: 0 }])),
+  allowComments: {
+    type: Boolean,
+    default: true
+  },
+  // Approved comments, kept in step with Comment
+  commentCount: {
+    type: Number,
+    default: 0
+  },
   readTime: {
     type: Number, // in minutes
     default: 5
@@ -118,6 +182,21 @@ const blogSchema = new mongoose.Schema({
   publishedAt: {
     type: Date,
     default: null
+  },
+  // When a scheduled post goes live
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  // When a published post is archived automatically (optional)
+  archiveAt: {
+    type: Date,
+    default: null
+  },
+  // Number of the latest BlogRevision
+  currentRevision: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
@@ -129,6 +208,39 @@ blogSchema.index({ status: 1, publishedAt: -1 });
 blogSchema.index({ category: 1, status: 1 });
 blogSchema.index({ tags: 1 });
 blogSchema.index({ featured: 1, status: 1 });
+blogSchema.index({ status: 1, publishAt: 1 });
+blogSchema.index({ status: 1, archiveAt: 1 });
+
+// Weighted full-text index for site search
+blogSchema.index({
+  title: 'text',
+  tags: 'text',
+  'seo.keywords': 'text',
+  excerpt: 'text',
+  contentText: 'text'
+}, {
+  name: 'blog_text_search',
+  weights: {
+    title: 10,
+    tags: 6,
+    'seo.keywords': 5,
+    excerpt: 4,
+    contentText: 1
+  }
+});
+
+// Check publish and archive times before saving
+blogSchema.pre('validate', function(next) {
+  if (this.status === 'scheduled' && !this.publishAt) {
+    this.invalidate('publishAt', 'A publish time is required to schedule a post');
+  }
+
+  if (this.archiveAt && this.publishAt && this.archiveAt <= this.publishAt) {
+    this.invalidate('archiveAt', 'Archive time must be after the publish time');
+  }
+
+  next();
+});
 
 // Generate slug from title
 blogSchema.pre('save', async function(next) {
@@ -177,6 +289,12 @@ blogSchema.pre('save', async function(next) {
       this.slug = slug;
     }
     
+    // A scheduled post whose publish time has already passed goes live straight away
+    if (this.status === 'scheduled' && this.publishAt <= new Date()) {
+      this.status = 'published';
+      this.publishedAt = this.publishAt;
+    }
+
     // Set published date when status changes to published
     if (this.isModified('status') && this.status === 'published' && !this.publishedAt) {
       this.publishedAt = new Date();
@@ -188,16 +306,226 @@ blogSchema.pre('save', async function(next) {
   }
 });
 
-// Calculate read time based on content length
+// Render and sanitize content, and calculate read time from its plain text
 blogSchema.pre('save', function(next) {
-  if (this.isModified('content')) {
-    const wordsPerMinute = 200;
-    const wordCount = this.content.split(/\s+/).length;
-    this.readTime = Math.ceil(wordCount / wordsPerMinute);
+  if (this.isModified('content') || this.isModified('contentFormat') || !this.contentHtml) {
+    // HTML content is stored sanitized too, so even the raw field is safe to display
+    if (this.contentFormat === 'html' && this.isModified('content')) {
+      this.content = sanitizeContent(this.content);
+    }
+
+    const { html, text } = renderContent(this.content, this.contentFormat);
+    this.contentHtml = html;
+    this.contentText = text;
+    this.readTime = calculateReadTime(text);
   }
   next();
 });
 
+// Number the next revision when any tracked field changes
+blogSchema.pre('save', async function() {
+  const changedFields = this.isNew
+    ? [...REVISION_FIELDS]
+    : REVISION_FIELDS.filter(field => this.isModified(field));
+
+  if (changedFields.length === 0) {
+    return;
+  }
+
+  // Posts written before revisions existed keep their stored version as revision 1
+  if (!this.isNew && !this.currentRevision) {
+    this.$locals.revisionBaseline = await this.constructor.findById(this._id).lean();
+    this.currentRevision = 1;
+  }
+
+  this.currentRevision = (this.currentRevision || 0) + 1;
+  this.$locals.revisionChanges = changedFields;
+});
+
+// Save the revision snapshot once the post itself is saved
+blogSchema.post('save', async function(doc) {
+  const changedFields = doc.$locals.revisionChanges;
+  if (!changedFields) {
+    return;
+  }
+
+  const baseline = doc.$locals.revisionBaseline;
+  const restoredFrom = doc.$locals.restoredFrom || null;
+  delete doc.$locals.revisionChanges;
+  delete doc.$locals.revisionBaseline;
+  delete doc.$locals.restoredFrom;
+
+  if (baseline) {
+    await BlogRevision.snapshot(baseline, { revision: 1, changedFields: [] });
+  }
+
+  const actor = getCurrentActor();
+  await BlogRevision.snapshot(doc, {
+    revision: doc.currentRevision,
+    changedFields,
+    editor: actor ? actor.id : null,
+    restoredFrom
+  });
+});
+
+// Remove revisions, view records, reactions, comments and preview links along with the post,
+// and take it out of its series
+blogSchema.post('deleteOne', { document: true, query: false }, async function(doc) {
+  await Promise.all([
+    BlogRevision.deleteMany({ blog: doc._id }),
+    BlogView.deleteMany({ blog: doc._id }),
+    BlogViewStats.deleteMany({ blog: doc._id }),
+    BlogReaction.deleteMany({ blog: doc._id }),
+    Comment.deleteMany({ blog: doc._id }),
+    BlogPreview.deleteMany({ blog: doc._id }),
+    Series.updateMany({ posts: doc._id }, { $pull: { posts: doc._id } })
+  ]);
+});
+
+// Query for posts visible to the public: published, live and not past their archive time
+blogSchema.statics.publicFilter = function(conditions = {}) {
+  const now = new Date();
+  return {
+    ...conditions,
+    status: 'published',
+    publishedAt: { $lte: now },
+    $nor: [{ archiveAt: { $lte: now } }]
+  };
+};
+
+// Publish scheduled posts whose time has come
+blogSchema.statics.publishDue = async function() {
+  const result = await this.updateMany(
+    { status: 'scheduled', publishAt: { $lte: new Date() } },
+    [{ $set: { status: 'published', publishedAt: '$publishAt' } }]
+  );
+  return result.modifiedCount;
+};
+
+// Archive published posts past their archive time
+blogSchema.statics.archiveDue = async function() {
+  const result = await this.updateMany(
+    { status: 'published', archiveAt: { $lte: new Date() } },
+    { status: 'archived' }
+  );
+  return result.modifiedCount;
+};
+
+// Replace every tag in `sources` with `target` on all posts, keeping tag order and dropping duplicates
+blogSchema.statics.replaceTags = async function(sources, target) {
+  const result = await this.updateMany(
+    { tags: { $in: sources } },
+    [{
+      $set: {
+        tags: {
+          $reduce: {
+            input: {
+              $map: {
+                input: '$tags',
+                in: { $cond: [{ $in: ['$$this', sources] }, target, '$$this'] }
+              }
+            },
+            initialValue: [],
+            in: {
+              $cond: [
+                { $in: ['$$this', '$$value'] },
+                '$$value',
+                { $concatArrays: ['$$value', ['$$this']] }
+              ]
+            }
+          }
+        }
+      }
+    }]
+  );
+  return result.modifiedCount;
+};
+
+// Render posts saved before content was rendered on save: sanitize HTML content and fill in
+// contentHtml, contentText and readTime. Posts rendered before contentText existed are included so
+// the text index covers their body. Written directly, so no revision is recorded.
+blogSchema.statics.renderMissingContent = async function() {
+  const posts = this.find({
+    $or: [
+      { contentHtml: { $in: [null, ''] } },
+      { contentText: { $exists: false } }
+    ]
+  })
+    .select('content contentFormat')
+    .lean()
+    .cursor();
+
+  let rendered = 0;
+  for await (const post of posts) {
+    const content = post.contentFormat === 'markdown' ? post.content : sanitizeContent(post.content);
+    const { html, text } = renderContent(content, post.contentFormat);
+    await this.updateOne(
+      { _id: post._id },
+      { content, contentHtml: html, contentText: text, readTime: calculateReadTime(text) }
+    );
+    rendered++;
+  }
+  return rendered;
+};
+
+// Weights for related post scoring: each shared tag, the same category, and how recent the post is
+const RELATED_WEIGHTS = { tag: 3, category: 2, recency: 1 };
+const RELATED_RECENCY_DAYS = 90;
+
+// Find published posts related to a post, best match first
+blogSchema.statics.findRelated = async function(blog, limit = 4) {
+  const now = new Date();
+  const tags = blog.tags || [];
+
+  const related = await this.aggregate([
+    {
+      $match: this.publicFilter({
+        _id: { $ne: blog._id },
+        $or: [{ tags: { $in: tags } }, { category: blog.category }]
+      })
+    },
+    {
+      $addFields: {
+        sharedTags: { $size: { $setIntersection: ['$tags', tags] } },
+        sameCategory: { $eq: ['$category', blog.category] },
+        // 1 for a post published now, halving every RELATED_RECENCY_DAYS
+        recency: {
+          $pow: [0.5, {
+            $divide: [{ $subtract: [now, '$publishedAt'] }, RELATED_RECENCY_DAYS * 24 * 60 * 60 * 1000]
+          }]
+        }
+      }
+    },
+    {
+      $addFields: {
+        relatedScore: {
+          $add: [
+            { $multiply: ['$sharedTags', RELATED_WEIGHTS.tag] },
+            { $cond: ['$sameCategory', RELATED_WEIGHTS.category, 0] },
+            { $multiply: ['$recency', RELATED_WEIGHTS.recency] }
+          ]
+        }
+      }
+    },
+    { $sort: { relatedScore: -1, publishedAt: -1 } },
+    { $limit: limit },
+    {
+      $project: {
+        content: 0,
+        contentHtml: 0,
+        contentText: 0,
+        reviewComments: 0,
+        approvedBy: 0,
+        approvedAt: 0,
+        sameCategory: 0,
+        recency: 0
+      }
+    }
+  ]);
+
+  return this.populate(related, { path: 'author', select: 'name email' });
+};
+
 // Virtual for formatted date
 blogSchema.virtual('formattedDate').get(function() {
   return this.publishedAt ? this.publishedAt.toLocaleDateString('en-US', {
@@ -210,4 +538,7 @@ blogSchema.virtual('formattedDate').get(function() {
 // Ensure virtual fields are serialized
 blogSchema.set('toJSON', { virtuals: true });
 
+// Record admin changes in the audit log
+blogSchema.plugin(auditPlugin, { resourceType: 'Blog' });
+
 export default mongoose.model('Blog', blogSchema);
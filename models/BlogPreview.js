@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+import auditPlugin from '../utils/auditPlugin.js';
+
+// A shareable link to an unpublished post (or one of its revisions) for readers without an account
+const blogPreviewSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  // Revision to show; null shows the post as it currently is
+  revision: {
+    type: Number,
+    default: null
+  },
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot be more than 200 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+// Token index is automatically created by unique: true constraint
+blogPreviewSchema.index({ blog: 1, createdAt: -1 });
+
+// Virtual for preview link status
+blogPreviewSchema.virtual('status').get(function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'active';
+});
+
+// Ensure virtual fields are serialized
+blogPreviewSchema.set('toJSON', { virtuals: true });
+
+// Static method to find a usable preview by its hashed token, counting the visit
+blogPreviewSchema.statics.findUsable = function(hashedToken) {
+  return this.findOneAndUpdate(
+    {
+      token: hashedToken,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $inc: { viewCount: 1 }, lastViewedAt: new Date() },
+    { new: true }
+  );
+};
+
+// Record admin changes in the audit log
+blogPreviewSchema.plugin(auditPlugin, { resourceType: 'BlogPreview', exclude: ['viewCount', 'lastViewedAt'] });
+
+export default mongoose.model('BlogPreview', blogPreviewSchema);
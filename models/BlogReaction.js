@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// Reactions a reader can leave on a post besides a like
+export const REACTION_TYPES = ['love', 'insightful', 'celebrate', 'curious'];
+
+// A like or reaction from one anonymous visitor. Each visitor can like a post once
+// and leave each reaction once.
+const blogReactionSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['like', ...REACTION_TYPES],
+    required: true
+  },
+  // Id from the signed visitor cookie
+  visitor: {
+    type: String,
+    required: true
+  },
+  // Hash of the visitor's IP address and user agent
+  fingerprint: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+blogReactionSchema.index({ blog: 1, visitor: 1, type: 1 }, { unique: true });
+blogReactionSchema.index({ blog: 1, fingerprint: 1, type: 1 });
+
+export default mongoose.model('BlogReaction', blogReactionSchema);
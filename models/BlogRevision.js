@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+// Blog fields captured in every revision
+export const REVISION_FIELDS = [
+  'title',
+  'excerpt',
+  'content',
+  'contentFormat',
+  'seo',
+  'featuredImage',
+  'featuredImageCloudinary',
+  'contentImages',
+  'images'
+];
+
+const blogRevisionSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  title: String,
+  excerpt: String,
+  content: String,
+  contentFormat: String,
+  seo: {
+    metaTitle: String,
+    metaDescription: String,
+    keywords: [String]
+  },
+  featuredImage: String,
+  featuredImageCloudinary: {
+    public_id: String,
+    url: String
+  },
+  contentImages: [{
+    _id: false,
+    public_id: String,
+    url: String,
+    alt: String
+  }],
+  images: [{
+    _id: false,
+    url: String,
+    alt: String,
+    caption: String
+  }],
+  // Fields that changed compared with the previous revision
+  changedFields: [String],
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  // Set when this revision was created by restoring an older one
+  restoredFrom: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+blogRevisionSchema.index({ blog: 1, revision: -1 }, { unique: true });
+
+// Create a revision from the current state of a blog document
+blogRevisionSchema.statics.snapshot = function(blog, { revision, changedFields, editor = null, restoredFrom = null }) {
+  const data = blog.toObject ? blog.toObject({ depopulate: true }) : blog;
+  const revisionData = { blog: data._id, revision, changedFields, editor, restoredFrom };
+
+  for (const field of REVISION_FIELDS) {
+    revisionData[field] = data[field];
+  }
+
+  return this.create(revisionData);
+};
+
+export default mongoose.model('BlogRevision', blogRevisionSchema);
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+// A counted view of a post by one visitor. Records expire when the visitor's dedup window ends,
+// so a repeat visit within the window is not counted again.
+const blogViewSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  // Hash of the visitor's IP address and user agent
+  visitor: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// One record per visitor and post; MongoDB removes records once they expire
+blogViewSchema.index({ blog: 1, visitor: 1 }, { unique: true });
+blogViewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('BlogView', blogViewSchema);
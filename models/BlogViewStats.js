@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// Daily view totals per post, kept after the individual view records expire
+const blogViewStatsSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  // Start of the day (UTC)
+  date: {
+    type: Date,
+    required: true
+  },
+  // Category of the post when it was viewed
+  category: {
+    type: String,
+    required: true
+  },
+  views: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+blogViewStatsSchema.index({ blog: 1, date: 1 }, { unique: true });
+blogViewStatsSchema.index({ date: 1 });
+blogViewStatsSchema.index({ category: 1, date: 1 });
+
+export default mongoose.model('BlogViewStats', blogViewStatsSchema);
@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+import auditPlugin from '../utils/auditPlugin.js';
+import { slugify } from '../utils/slugHelper.js';
+
+// Categories the blog started with, created when the collection is empty
+export const DEFAULT_CATEGORIES = [
+  'Digital Marketing',
+  'Software Development',
+  'Cloud Computing',
+  'Training',
+  'Business Branding',
+  'Technology',
+  'Innovation',
+  'General'
+];
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [50, 'Name cannot be more than 50 characters']
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  color: {
+    type: String,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #0573A0'],
+    default: '#0573A0'
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  seo: {
+    metaTitle: {
+      type: String,
+      maxlength: [60, 'Meta title cannot be more than 60 characters']
+    },
+    metaDescription: {
+      type: String,
+      maxlength: [160, 'Meta description cannot be more than 160 characters']
+    },
+    keywords: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }]
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+// Name and slug indexes are automatically created by unique: true constraint
+categorySchema.index({ sortOrder: 1, name: 1 });
+
+// Generate slug from name
+categorySchema.pre('validate', function(next) {
+  if (!this.slug || (this.isModified('name') && !this.isModified('slug'))) {
+    this.slug = slugify(this.name) || `category-${Date.now()}`;
+  }
+  next();
+});
+
+// Create the default categories if there are none yet
+categorySchema.statics.ensureDefaults = async function() {
+  if (await this.estimatedDocumentCount() > 0) {
+    return;
+  }
+
+  await this.insertMany(
+    DEFAULT_CATEGORIES.map((name, index) => ({ name, slug: slugify(name), sortOrder: index })),
+    { ordered: false }
+  ).catch(error => {
+    // Another instance seeded at the same time
+    if (error.code !== 11000) throw error;
+  });
+};
+
+// Record admin changes in the audit log
+categorySchema.plugin(auditPlugin, { resourceType: 'Category' });
+
+export default mongoose.model('Category', categorySchema);
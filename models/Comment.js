@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+import auditPlugin from '../utils/auditPlugin.js';
+
+export const COMMENT_STATUSES = ['pending', 'approved', 'rejected', 'spam'];
+
+// Replies deeper than this are attached to their parent's thread instead
+export const MAX_COMMENT_DEPTH = 3;
+
+const commentSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  // Comment being replied to; null for top-level comments
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  depth: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: MAX_COMMENT_DEPTH - 1
+  },
+  authorName: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [80, 'Name cannot be more than 80 characters']
+  },
+  authorEmail: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [
+      /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+      'Please add a valid email'
+    ]
+  },
+  content: {
+    type: String,
+    required: [true, 'Comment is required'],
+    trim: true,
+    maxlength: [5000, 'Comment cannot be more than 5000 characters']
+  },
+  status: {
+    type: String,
+    enum: COMMENT_STATUSES,
+    default: 'pending'
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  moderatedAt: {
+    type: Date,
+    default: null
+  },
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+commentSchema.index({ blog: 1, status: 1, createdAt: 1 });
+commentSchema.index({ status: 1, createdAt: -1 });
+commentSchema.index({ parent: 1 });
+commentSchema.index({ blog: 1, status: 1, parent: 1, createdAt: -1 });
+
+// Recount a post's approved comments
+commentSchema.statics.syncBlogCount = async function(blogId) {
+  const count = await this.countDocuments({ blog: blogId, status: 'approved' });
+  // Blog is looked up by name because Blog.js imports this model
+  await mongoose.model('Blog').updateOne({ _id: blogId }, { commentCount: count }, { timestamps: false });
+  return count;
+};
+
+// Get the ids of a comment's replies at every level
+commentSchema.statics.findReplyIds = async function(commentId) {
+  const ids = [];
+  let parents = [commentId];
+
+  while (parents.length > 0) {
+    const replies = await this.find({ parent: { $in: parents } }).select('_id').lean();
+    parents = replies.map(reply => reply._id);
+    ids.push(...parents);
+  }
+
+  return ids;
+};
+
+// Get the approved replies of some comments at every level, oldest first within each level.
+// Replies under a comment that isn't approved are left out.
+commentSchema.statics.findApprovedReplies = async function(commentIds, select) {
+  const replies = [];
+  let parents = commentIds;
+
+  while (parents.length > 0) {
+    const level = await this.find({ parent: { $in: parents }, status: 'approved' })
+      .select(select)
+      .sort({ createdAt: 1 })
+      .lean();
+    parents = level.map(reply => reply._id);
+    replies.push(...level);
+  }
+
+  return replies;
+};
+
+// Record admin changes in the audit log
+commentSchema.plugin(auditPlugin, { resourceType: 'Comment', exclude: ['ip', 'userAgent'] });
+
+export default mongoose.model('Comment', commentSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import auditPlugin from '../utils/auditPlugin.js';
 
 const contactSchema = new mongoose.Schema({
   firstName: {
@@ -90,4 +91,7 @@ contactSchema.virtual('fullName').get(function() {
 // Ensure virtual fields are serialized
 contactSchema.set('toJSON', { virtuals: true });
 
+// Record admin changes in the audit log
+contactSchema.plugin(auditPlugin, { resourceType: 'Contact' });
+
 export default mongoose.model('Contact', contactSchema);
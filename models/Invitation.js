@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+import { ROLES } from '../config/roles.js';
+import auditPlugin from '../utils/auditPlugin.js';
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [
+      /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+      'Please add a valid email'
+    ]
+  },
+  role: {
+    type: String,
+    required: [true, 'Role is required'],
+    enum: ROLES
+  },
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+// Token index is automatically created by unique: true constraint
+invitationSchema.index({ email: 1, createdAt: -1 });
+
+// Virtual for invitation status
+invitationSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+});
+
+// Ensure virtual fields are serialized
+invitationSchema.set('toJSON', { virtuals: true });
+
+// Static method to atomically claim a pending invitation so it can only be used once
+invitationSchema.statics.claim = function(hashedToken) {
+  return this.findOneAndUpdate(
+    {
+      token: hashedToken,
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { acceptedAt: new Date() },
+    { new: true }
+  );
+};
+
+// Record admin changes in the audit log
+invitationSchema.plugin(auditPlugin, { resourceType: 'Invitation' });
+
+export default mongoose.model('Invitation', invitationSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import auditPlugin from '../utils/auditPlugin.js';
 
 const newsletterSchema = new mongoose.Schema({
   email: {
@@ -64,4 +65,7 @@ newsletterSchema.statics.getSubscriberCount = function() {
   return this.countDocuments({ isActive: true });
 };
 
+// Record admin changes in the audit log
+newsletterSchema.plugin(auditPlugin, { resourceType: 'Newsletter' });
+
 export default mongoose.model('Newsletter', newsletterSchema);
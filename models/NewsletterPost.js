@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import auditPlugin from '../utils/auditPlugin.js';
 
 const newsletterPostSchema = new mongoose.Schema({
   title: {
@@ -151,4 +152,7 @@ newsletterPostSchema.statics.getStats = function() {
   ]);
 };
 
+// Record admin changes in the audit log
+newsletterPostSchema.plugin(auditPlugin, { resourceType: 'NewsletterPost' });
+
 export default mongoose.model('NewsletterPost', newsletterPostSchema);
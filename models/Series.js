@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+import auditPlugin from '../utils/auditPlugin.js';
+import { slugify } from '../utils/slugHelper.js';
+
+// An ordered set of posts read one after another, e.g. a multi-part tutorial.
+// A post belongs to at most one series.
+const seriesSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot be more than 200 characters']
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot be more than 1000 characters']
+  },
+  featuredImage: {
+    type: String,
+    default: null
+  },
+  // Posts in reading order
+  posts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog'
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+// Slug index is automatically created by unique: true constraint
+seriesSchema.index({ posts: 1 });
+
+// Generate slug from title
+seriesSchema.pre('validate', function(next) {
+  if (!this.slug || (this.isModified('title') && !this.isModified('slug'))) {
+    this.slug = slugify(this.title) || `series-${Date.now()}`;
+  }
+  next();
+});
+
+// Record admin changes in the audit log
+seriesSchema.plugin(auditPlugin, { resourceType: 'Series' });
+
+export default mongoose.model('Series', seriesSchema);
@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+
+const sessionSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  refreshToken: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // Hashes of refresh tokens this session has already rotated away from
+  previousTokens: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  device: {
+    type: String,
+    default: 'Unknown device'
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+// Refresh token index is automatically created by unique: true constraint
+sessionSchema.index({ admin: 1, revokedAt: 1 });
+sessionSchema.index({ previousTokens: 1 });
+// Remove sessions a week after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Ensure virtual fields are serialized
+sessionSchema.set('toJSON', { virtuals: true });
+
+// Method to revoke the session
+sessionSchema.methods.revoke = function(reason = 'logout') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Static method to revoke every active session of an admin, optionally keeping one
+sessionSchema.statics.revokeAllForAdmin = function(adminId, { except = null, reason = 'logout_all' } = {}) {
+  const query = { admin: adminId, revokedAt: null };
+  if (except) {
+    query._id = { $ne: except };
+  }
+  return this.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+};
+
+// Static method to get the active sessions of an admin
+sessionSchema.statics.getActiveSessions = function(adminId) {
+  return this.find({
+    admin: adminId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+export default mongoose.model('Session', sessionSchema);
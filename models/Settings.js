@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+import auditPlugin from '../utils/auditPlugin.js';
+
+const settingsSchema = new mongoose.Schema({
+  requireTwoFactor: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Only one settings document is used - get it, creating the defaults if needed
+settingsSchema.statics.getSettings = async function() {
+  const settings = await this.findOne();
+  if (settings) {
+    return settings;
+  }
+  return this.create({});
+};
+
+// Record admin changes in the audit log
+settingsSchema.plugin(auditPlugin, { resourceType: 'Settings' });
+
+export default mongoose.model('Settings', settingsSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import auditPlugin from '../utils/auditPlugin.js';
 
 const statsSchema = new mongoose.Schema({
   clients: {
@@ -40,4 +41,7 @@ const statsSchema = new mongoose.Schema({
 
 // Only allow one stats document - _id is automatically unique
 
+// Record admin changes in the audit log
+statsSchema.plugin(auditPlugin, { resourceType: 'Stats' });
+
 export default mongoose.model('Stats', statsSchema);
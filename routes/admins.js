@@ -0,0 +1,354 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Admin from '../models/Admin.js';
+import Blog from '../models/Blog.js';
+import Contact from '../models/Contact.js';
+import NewsletterPost from '../models/NewsletterPost.js';
+import Session from '../models/Session.js';
+import { ROLES } from '../config/roles.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { escapeRegex } from '../utils/queryHelper.js';
+
+const router = express.Router();
+
+// Every admin management route is for owners only
+router.use(protect, authorize('admins:manage'));
+
+const ADMIN_FIELDS = 'name email role avatar isActive lastLogin failedLoginAttempts lockUntil twoFactor.enabled createdAt updatedAt';
+
+// Check whether an admin is the only active owner left
+const isLastActiveOwner = async (admin) => {
+  if (admin.role !== 'owner' || !admin.isActive) {
+    return false;
+  }
+
+  const otherOwners = await Admin.countDocuments({
+    _id: { $ne: admin._id },
+    role: 'owner',
+    isActive: true
+  });
+  return otherOwners === 0;
+};
+
+// Move an admin's blog posts, newsletter posts and assigned contacts to another admin
+const reassignContent = async (fromId, toId) => {
+  const [blogs, newsletterPosts, contacts] = await Promise.all([
+    Blog.updateMany({ author: fromId }, { author: toId }),
+    NewsletterPost.updateMany({ author: fromId }, { author: toId }),
+    Contact.updateMany({ assignedTo: fromId }, { assignedTo: toId })
+  ]);
+
+  return {
+    blogs: blogs.modifiedCount,
+    newsletterPosts: newsletterPosts.modifiedCount,
+    contacts: contacts.modifiedCount
+  };
+};
+
+// Load the admin from :id, responding with 404 if it does not exist
+const findAdmin = async (req, res) => {
+  const admin = await Admin.findById(req.params.id).select(ADMIN_FIELDS);
+  if (!admin) {
+    res.status(404).json({
+      success: false,
+      message: 'Admin not found'
+    });
+    return null;
+  }
+  return admin;
+};
+
+// @desc    Get all admins
+// @route   GET /api/admins
+// @access  Private (admins:manage)
+router.get('/', async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const role = req.query.role;
+    const status = req.query.status;
+    const search = req.query.search;
+
+    // Build query
+    let query = {};
+    if (role) query.role = role;
+    if (status === 'active') query.isActive = true;
+    if (status === 'inactive') query.isActive = false;
+    if (search) {
+      const pattern = escapeRegex(search);
+      query.$or = [
+        { name: { $regex: pattern, $options: 'i' } },
+        { email: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    const skip = (page - 1) * limit;
+
+    const admins = await Admin.find(query)
+      .select(ADMIN_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Admin.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        admins,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get single admin
+// @route   GET /api/admins/:id
+// @access  Private (admins:manage)
+router.get('/:id', async (req, res, next) => {
+  try {
+    const admin = await findAdmin(req, res);
+    if (!admin) return;
+
+    const [blogs, contacts, sessions] = await Promise.all([
+      Blog.countDocuments({ author: admin._id }),
+      Contact.countDocuments({ assignedTo: admin._id }),
+      Session.countDocuments({ admin: admin._id, revokedAt: null, expiresAt: { $gt: new Date() } })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        admin,
+        counts: { blogs, contacts, activeSessions: sessions }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Change an admin's role
+// @route   PUT /api/admins/:id/role
+// @access  Private (admins:manage)
+router.put('/:id/role', [
+  body('role').isIn(ROLES).withMessage('Invalid role')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const admin = await findAdmin(req, res);
+    if (!admin) return;
+
+    if (admin._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    if (req.body.role !== 'owner' && await isLastActiveOwner(admin)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot demote the last active owner'
+      });
+    }
+
+    admin.role = req.body.role;
+    await admin.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Admin role updated successfully',
+      data: { admin }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Deactivate an admin and revoke their sessions
+// @route   PUT /api/admins/:id/deactivate
+// @access  Private (admins:manage)
+router.put('/:id/deactivate', async (req, res, next) => {
+  try {
+    const admin = await findAdmin(req, res);
+    if (!admin) return;
+
+    if (admin._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate your own account'
+      });
+    }
+
+    if (await isLastActiveOwner(admin)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot deactivate the last active owner'
+      });
+    }
+
+    admin.isActive = false;
+    await admin.save();
+
+    const result = await Session.revokeAllForAdmin(admin._id, { reason: 'admin_deactivated' });
+
+    res.status(200).json({
+      success: true,
+      message: `Admin deactivated and ${result.modifiedCount} sessions revoked`,
+      data: { admin }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Reactivate an admin
+// @route   PUT /api/admins/:id/activate
+// @access  Private (admins:manage)
+router.put('/:id/activate', async (req, res, next) => {
+  try {
+    const admin = await findAdmin(req, res);
+    if (!admin) return;
+
+    admin.isActive = true;
+    admin.failedLoginAttempts = 0;
+    admin.lockUntil = null;
+    await admin.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Admin reactivated successfully',
+      data: { admin }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Reassign an admin's blogs, newsletter posts and contacts to another admin
+// @route   POST /api/admins/:id/reassign
+// @access  Private (admins:manage)
+router.post('/:id/reassign', [
+  body('reassignTo').isMongoId().withMessage('A valid admin to reassign to is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const admin = await findAdmin(req, res);
+    if (!admin) return;
+
+    const target = await Admin.findOne({ _id: req.body.reassignTo, isActive: true });
+    if (!target || target._id.equals(admin._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reassign target must be a different, active admin'
+      });
+    }
+
+    const reassigned = await reassignContent(admin._id, target._id);
+
+    res.status(200).json({
+      success: true,
+      message: `Content reassigned to ${target.name}`,
+      data: { reassigned }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete an admin, reassigning their content
+// @route   DELETE /api/admins/:id
+// @access  Private (admins:manage)
+router.delete('/:id', [
+  body('reassignTo').optional().isMongoId().withMessage('Reassign target must be a valid admin id')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const admin = await findAdmin(req, res);
+    if (!admin) return;
+
+    if (admin._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delete your own account'
+      });
+    }
+
+    if (await isLastActiveOwner(admin)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete the last active owner'
+      });
+    }
+
+    let reassigned = null;
+    if (req.body.reassignTo) {
+      const target = await Admin.findOne({ _id: req.body.reassignTo, isActive: true });
+      if (!target || target._id.equals(admin._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Reassign target must be a different, active admin'
+        });
+      }
+      reassigned = await reassignContent(admin._id, target._id);
+    } else {
+      // Posts need an author, so they must be handed to someone first
+      const [blogs, newsletterPosts] = await Promise.all([
+        Blog.countDocuments({ author: admin._id }),
+        NewsletterPost.countDocuments({ author: admin._id })
+      ]);
+      if (blogs > 0 || newsletterPosts > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'This admin has authored posts. Provide reassignTo to hand them to another admin'
+        });
+      }
+      await Contact.updateMany({ assignedTo: admin._id }, { assignedTo: null });
+    }
+
+    await Session.revokeAllForAdmin(admin._id, { reason: 'admin_deleted' });
+    await admin.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Admin deleted successfully',
+      data: { reassigned }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,155 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import ApiKey from '../models/ApiKey.js';
+import { API_KEY_SCOPES } from '../config/roles.js';
+import { protect, authorize, sessionOnly } from '../middleware/auth.js';
+import { createToken, hashToken } from '../utils/tokenHelper.js';
+
+const router = express.Router();
+
+const KEY_PREFIX = 'bjk_';
+
+// Keys can only be managed by an admin signed in with a session, never by another key
+router.use(protect, sessionOnly, authorize('apiKeys:manage'));
+
+// @desc    Create an API key
+// @route   POST /api/api-keys
+// @access  Private (apiKeys:manage)
+router.post('/', [
+  body('name').trim().notEmpty().withMessage('Name is required')
+    .isLength({ max: 100 }).withMessage('Name cannot be more than 100 characters'),
+  body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+  body('scopes.*').isIn(API_KEY_SCOPES).withMessage('Invalid scope'),
+  body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('Expiry must be a valid date')
+    .custom(value => new Date(value) > new Date()).withMessage('Expiry must be in the future')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const scopes = [...new Set(req.body.scopes)];
+
+    // A key cannot be granted more than its creator holds
+    const notGranted = scopes.filter(scope => !req.user.can(scope));
+    if (notGranted.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot grant scopes you do not hold: ${notGranted.join(', ')}`
+      });
+    }
+
+    const { token } = createToken();
+    const rawKey = `${KEY_PREFIX}${token}`;
+
+    const apiKey = await ApiKey.create({
+      name: req.body.name,
+      prefix: rawKey.slice(0, KEY_PREFIX.length + 8),
+      key: hashToken(rawKey),
+      scopes,
+      createdBy: req.user.id,
+      expiresAt: req.body.expiresAt || null
+    });
+
+    // The raw key is only ever returned here
+    res.status(201).json({
+      success: true,
+      message: 'API key created successfully. Store it now, it will not be shown again',
+      data: {
+        apiKey,
+        key: rawKey
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get all API keys
+// @route   GET /api/api-keys
+// @access  Private (apiKeys:manage)
+router.get('/', async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const status = req.query.status;
+    const now = new Date();
+
+    // Build query
+    let query = {};
+    if (status === 'active') {
+      query = { revokedAt: null, $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] };
+    } else if (status === 'revoked') {
+      query = { revokedAt: { $ne: null } };
+    } else if (status === 'expired') {
+      query = { revokedAt: null, expiresAt: { $lte: now } };
+    }
+
+    const skip = (page - 1) * limit;
+
+    const apiKeys = await ApiKey.find(query)
+      .populate('createdBy', 'name email')
+      .populate('revokedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await ApiKey.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        apiKeys,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Revoke an API key
+// @route   DELETE /api/api-keys/:id
+// @access  Private (apiKeys:manage)
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'API key is already revoked'
+      });
+    }
+
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = req.user.id;
+    await apiKey.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: { apiKey }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,154 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { query, validationResult } from 'express-validator';
+import AuditLog, { AUDIT_ACTIONS } from '../models/AuditLog.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { toCsv } from '../utils/csvHelper.js';
+
+const router = express.Router();
+
+// Exports are capped so a wide filter can't build an unbounded response
+const EXPORT_LIMIT = 10000;
+
+const CSV_COLUMNS = [
+  { header: 'Time', value: log => log.createdAt },
+  { header: 'Actor', value: log => log.actorEmail },
+  { header: 'Actor Type', value: log => log.actorType },
+  { header: 'Action', value: log => log.action },
+  { header: 'Resource Type', value: log => log.resourceType },
+  { header: 'Resource ID', value: log => log.resourceId },
+  { header: 'Changes', value: log => log.changes.length > 0 ? log.changes : null },
+  { header: 'Metadata', value: log => log.metadata },
+  { header: 'Method', value: log => log.method },
+  { header: 'Path', value: log => log.path },
+  { header: 'IP', value: log => log.ip },
+  { header: 'User Agent', value: log => log.userAgent }
+];
+
+const filterValidation = [
+  query('actor').optional().isMongoId().withMessage('Invalid actor'),
+  query('action').optional().isIn(AUDIT_ACTIONS).withMessage('Invalid action'),
+  query('from').optional().isISO8601().withMessage('Invalid from date'),
+  query('to').optional().isISO8601().withMessage('Invalid to date')
+];
+
+// Build the query shared by the list and export endpoints
+const buildFilter = ({ actor, action, resourceType, resourceId, from, to }) => {
+  const filter = {};
+
+  if (actor) filter.actor = new mongoose.Types.ObjectId(actor);
+  if (action) filter.action = action;
+  if (resourceType) filter.resourceType = String(resourceType);
+  if (resourceId) filter.resourceId = String(resourceId);
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  return filter;
+};
+
+router.use(protect, authorize('audit:read'));
+
+// @desc    Get audit log entries
+// @route   GET /api/audit-logs
+// @access  Private (audit:read)
+router.get('/', filterValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const filter = buildFilter(req.query);
+
+    const skip = (page - 1) * limit;
+
+    const logs = await AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await AuditLog.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        logs,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Export audit log entries as CSV
+// @route   GET /api/audit-logs/export
+// @access  Private (audit:read)
+router.get('/export', filterValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const logs = await AuditLog.find(buildFilter(req.query))
+      .sort({ createdAt: -1 })
+      .limit(EXPORT_LIMIT)
+      .lean();
+
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    res.status(200).send(toCsv(CSV_COLUMNS, logs));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get a single audit log entry
+// @route   GET /api/audit-logs/:id
+// @access  Private (audit:read)
+router.get('/:id', async (req, res, next) => {
+  try {
+    const log = await AuditLog.findById(req.params.id)
+      .populate('actor', 'name email role');
+
+    if (!log) {
+      return res.status(404).json({
+        success: false,
+        message: 'Audit log entry not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { log }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
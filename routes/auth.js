@@ -1,17 +1,202 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import Admin from '../models/Admin.js';
-import { generateToken, protect } from '../middleware/auth.js';
+import Invitation from '../models/Invitation.js';
+import Session from '../models/Session.js';
+import Settings from '../models/Settings.js';
+import {
+  generateToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  createPrincipal,
+  protect,
+  authorize,
+  sessionOnly
+} from '../middleware/auth.js';
+import { hashToken, safeCompare } from '../utils/tokenHelper.js';
+import { createSession, rotateSession } from '../utils/sessionHelper.js';
+import {
+  parseCookies,
+  setAuthCookies,
+  clearAuthCookies,
+  REFRESH_TOKEN_COOKIE
+} from '../utils/cookieHelper.js';
+import { generateSecret, verifyCode, buildOtpauthUri } from '../utils/totp.js';
+import { getPasswordPolicyErrors, passwordPolicyRule } from '../utils/passwordPolicy.js';
+import { sendPasswordResetEmail, sendAccountLockedEmail } from '../utils/emailService.js';
 
 const router = express.Router();
 
-// @desc    Register admin
+// Count a failed login attempt and respond, locking the account once the limit is reached
+const rejectFailedLogin = async (admin, req, res, message) => {
+  const lockUntil = await admin.registerFailedLogin();
+
+  if (lockUntil) {
+    // Let the account owner know (async, don't wait for it)
+    sendAccountLockedEmail(admin, lockUntil, req.ip).catch(err => {
+      console.error('Failed to send account locked email:', err);
+    });
+
+    return res.status(423).json({
+      success: false,
+      message: 'Account is temporarily locked after too many failed login attempts. Please try again later',
+      data: { lockUntil }
+    });
+  }
+
+  return res.status(401).json({
+    success: false,
+    message
+  });
+};
+
+// Finish a successful login: record it, start a session and send the tokens
+const completeLogin = async (admin, req, res, extraData = {}) => {
+  // Update last login
+  await admin.updateLastLogin();
+
+  // Start a session
+  const tokens = await createSession(admin, req);
+  setAuthCookies(res, tokens);
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      admin: {
+        id: admin._id,
+        name: admin.name,
+        email: admin.email,
+        role: admin.role,
+        lastLogin: admin.lastLogin
+      },
+      ...tokens,
+      ...extraData
+    }
+  });
+};
+
+// Allow two-factor enrolment either when signed in or with the setup challenge issued at login
+const enrolmentAuth = async (req, res, next) => {
+  try {
+    if (!req.body.challengeToken) {
+      return protect(req, res, () => sessionOnly(req, res, next));
+    }
+
+    const decoded = verifyChallengeToken(req.body.challengeToken, '2fa_setup');
+    const admin = decoded && await Admin.findById(decoded.id);
+
+    if (!admin || !admin.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired'
+      });
+    }
+
+    req.user = createPrincipal(admin);
+    req.loginChallenge = true;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create the first owner account (one-time setup)
+// @route   POST /api/auth/setup
+// @access  Public (requires SETUP_TOKEN, only while no owner exists)
+router.post('/setup', [
+  body('setupToken').notEmpty().withMessage('Setup token is required'),
+  body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
+  body('email').isString().isEmail().withMessage('Please provide a valid email'),
+  body('password').exists().withMessage('Password is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Setup is closed once an owner exists or when no setup token is configured
+    const ownerExists = await Admin.exists({ role: 'owner' });
+    if (ownerExists || !process.env.SETUP_TOKEN) {
+      return res.status(403).json({
+        success: false,
+        message: 'Setup has already been completed'
+      });
+    }
+
+    const { setupToken, name, email, password } = req.body;
+
+    if (!safeCompare(setupToken, process.env.SETUP_TOKEN)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid setup token'
+      });
+    }
+
+    // Admins created before roles existed can claim ownership with their password
+    let admin = await Admin.findOne({ email }).select('+password');
+    if (admin) {
+      const isMatch = await admin.matchPassword(password);
+      if (!isMatch) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid credentials'
+        });
+      }
+
+      admin.role = 'owner';
+      await admin.save();
+    } else {
+      const passwordErrors = getPasswordPolicyErrors(password);
+      if (passwordErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: passwordErrors.join(', ')
+        });
+      }
+
+      admin = await Admin.create({
+        name,
+        email,
+        password,
+        role: 'owner'
+      });
+    }
+
+    // Start a session
+    const tokens = await createSession(admin, req);
+    setAuthCookies(res, tokens);
+
+    res.status(201).json({
+      success: true,
+      message: 'Owner account set up successfully',
+      data: {
+        admin: {
+          id: admin._id,
+          name: admin.name,
+          email: admin.email,
+          role: admin.role
+        },
+        ...tokens
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Register admin from an invitation
 // @route   POST /api/auth/register
-// @access  Public
+// @access  Public (requires a valid invitation token)
 router.post('/register', [
+  body('token').notEmpty().withMessage('Invitation token is required'),
   body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
-  body('email').isEmail().withMessage('Please provide a valid email'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+  passwordPolicyRule('password')
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -23,10 +208,19 @@ router.post('/register', [
       });
     }
 
-    const { name, email, password } = req.body;
+    const { token, name, password } = req.body;
+    const hashedToken = hashToken(token);
+
+    const pendingInvitation = await Invitation.findOne({ token: hashedToken });
+    if (!pendingInvitation || pendingInvitation.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
 
     // Check if admin exists
-    const existingAdmin = await Admin.findOne({ email });
+    const existingAdmin = await Admin.findOne({ email: pendingInvitation.email });
     if (existingAdmin) {
       return res.status(400).json({
         success: false,
@@ -34,15 +228,48 @@ router.post('/register', [
       });
     }
 
-    // Create admin
-    const admin = await Admin.create({
-      name,
-      email,
-      password
-    });
+    // Claim the invitation atomically so concurrent requests cannot both use it
+    const invitation = await Invitation.claim(hashedToken);
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
 
-    // Generate token
-    const token = generateToken(admin._id);
+    let admin;
+    try {
+      admin = await Admin.create({
+        name,
+        email: invitation.email,
+        password,
+        role: invitation.role
+      });
+    } catch (error) {
+      // Release the invitation so it can be used again after fixing the input
+      await Invitation.updateOne({ _id: invitation._id }, { acceptedAt: null });
+      throw error;
+    }
+
+    invitation.acceptedBy = admin._id;
+    await invitation.save();
+
+    // New admins enrol in two-factor authentication first when it is required for everyone
+    const settings = await Settings.getSettings();
+    if (settings.requireTwoFactor) {
+      return res.status(201).json({
+        success: true,
+        message: 'Admin registered successfully. Two-factor authentication must be set up before signing in',
+        data: {
+          twoFactorSetupRequired: true,
+          challengeToken: generateChallengeToken(admin._id, '2fa_setup')
+        }
+      });
+    }
+
+    // Start a session
+    const tokens = await createSession(admin, req);
+    setAuthCookies(res, tokens);
 
     res.status(201).json({
       success: true,
@@ -51,9 +278,10 @@ router.post('/register', [
         admin: {
           id: admin._id,
           name: admin.name,
-          email: admin.email
+          email: admin.email,
+          role: admin.role
         },
-        token
+        ...tokens
       }
     });
   } catch (error) {
@@ -89,33 +317,157 @@ router.post('/login', [
       });
     }
 
+    // Locked accounts are rejected before the password is checked
+    if (admin.isLocked) {
+      return res.status(423).json({
+        success: false,
+        message: 'Account is temporarily locked after too many failed login attempts. Please try again later',
+        data: { lockUntil: admin.lockUntil }
+      });
+    }
+
     // Check if password matches
     const isMatch = await admin.matchPassword(password);
     if (!isMatch) {
-      return res.status(401).json({
+      return rejectFailedLogin(admin, req, res, 'Invalid credentials');
+    }
+
+    // Deactivated admins cannot sign in
+    if (!admin.isActive) {
+      return res.status(403).json({
         success: false,
-        message: 'Invalid credentials'
+        message: 'Account has been deactivated'
+      });
+    }
+
+    // Second step: admins with two-factor authentication must confirm a code
+    if (admin.twoFactor.enabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication code required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateChallengeToken(admin._id, '2fa')
+        }
+      });
+    }
+
+    // Admins who have not enrolled yet must do so when two-factor is required for everyone
+    const settings = await Settings.getSettings();
+    if (settings.requireTwoFactor) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication must be set up before signing in',
+        data: {
+          twoFactorSetupRequired: true,
+          challengeToken: generateChallengeToken(admin._id, '2fa_setup')
+        }
+      });
+    }
+
+    await completeLogin(admin, req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Request a password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().withMessage('Please provide a valid email')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    // Update last login
-    await admin.updateLastLogin();
+    const admin = await Admin.findOne({ email: req.body.email });
+
+    if (admin && admin.isActive) {
+      const resetToken = admin.createPasswordResetToken();
+      await admin.save();
 
-    // Generate token
-    const token = generateToken(admin._id);
+      // Send reset email (async, don't wait for it)
+      sendPasswordResetEmail(admin, resetToken).catch(err => {
+        console.error('Failed to send password reset email:', err);
+      });
+    }
 
+    // Same response whether or not the email exists, so accounts cannot be enumerated
     res.status(200).json({
       success: true,
-      message: 'Login successful',
-      data: {
-        admin: {
-          id: admin._id,
-          name: admin.name,
-          email: admin.email,
-          lastLogin: admin.lastLogin
-        },
-        token
-      }
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Reset password with a reset token
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+router.post('/reset-password/:token', [
+  passwordPolicyRule('password')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const hashedToken = hashToken(req.params.token);
+
+    const admin = await Admin.findOne({
+      passwordResetToken: hashedToken,
+      passwordResetExpires: { $gt: new Date() }
+    }).select('+password +passwordHistory');
+
+    if (!admin) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset token is invalid or has expired'
+      });
+    }
+
+    if (await admin.isPasswordReused(req.body.password)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password was used recently. Please choose a different password'
+      });
+    }
+
+    // Consume the token atomically so it can only be used once
+    const consumed = await Admin.updateOne(
+      { _id: admin._id, passwordResetToken: hashedToken },
+      { passwordResetToken: null, passwordResetExpires: null }
+    );
+
+    if (consumed.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset token is invalid or has expired'
+      });
+    }
+
+    // Saving the new password also invalidates every token issued before now
+    admin.password = req.body.password;
+    await admin.save();
+
+    await Session.revokeAllForAdmin(admin._id, { reason: 'password_reset' });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password'
     });
   } catch (error) {
     next(error);
@@ -136,10 +488,14 @@ router.get('/me', protect, async (req, res, next) => {
           id: admin._id,
           name: admin.name,
           email: admin.email,
+          role: admin.role,
+          permissions: req.user.permissions,
+          twoFactorEnabled: admin.twoFactor.enabled,
           avatar: admin.avatar,
           lastLogin: admin.lastLogin,
           createdAt: admin.createdAt
-        }
+        },
+        authType: req.user.type
       }
     });
   } catch (error) {
@@ -150,7 +506,7 @@ router.get('/me', protect, async (req, res, next) => {
 // @desc    Update admin profile
 // @route   PUT /api/auth/profile
 // @access  Private
-router.put('/profile', protect, [
+router.put('/profile', protect, sessionOnly, [
   body('name').optional().trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
   body('email').optional().isEmail().withMessage('Please provide a valid email')
 ], async (req, res, next) => {
@@ -184,6 +540,7 @@ router.put('/profile', protect, [
           id: admin._id,
           name: admin.name,
           email: admin.email,
+          role: admin.role,
           avatar: admin.avatar
         }
       }
@@ -193,4 +550,522 @@ router.put('/profile', protect, [
   }
 });
 
+// @desc    Change password
+// @route   PUT /api/auth/password
+// @access  Private
+router.put('/password', protect, sessionOnly, [
+  body('currentPassword').exists().withMessage('Current password is required'),
+  passwordPolicyRule('newPassword')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    const admin = await Admin.findById(req.user.id).select('+password +passwordHistory');
+
+    // Check if current password matches
+    const isMatch = await admin.matchPassword(currentPassword);
+    if (!isMatch) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (await admin.isPasswordReused(newPassword)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password was used recently. Please choose a different password'
+      });
+    }
+
+    // Saving the new password invalidates every token issued before now
+    admin.password = newPassword;
+    await admin.save();
+
+    await Session.revokeAllForAdmin(admin._id, { except: req.user.sessionId, reason: 'password_changed' });
+
+    // Issue a fresh access token so the current session stays signed in
+    const token = generateToken(admin._id, req.user.sessionId);
+    setAuthCookies(res, { token });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully. Other sessions have been signed out',
+      data: { token }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Exchange a refresh token for new tokens
+// @route   POST /api/auth/refresh
+// @access  Public (requires a refresh token in the body or cookie)
+router.post('/refresh', async (req, res, next) => {
+  try {
+    // Browser clients send the refresh token as an httpOnly cookie, others in the body
+    const fromCookie = !req.body.refreshToken;
+    const refreshToken = req.body.refreshToken || parseCookies(req.headers.cookie)[REFRESH_TOKEN_COOKIE];
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    // Like other cookie-authenticated writes, so a cross-site form can't rotate the session
+    if (fromCookie && !req.get('x-requested-with')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Missing X-Requested-With header'
+      });
+    }
+
+    const tokens = await rotateSession(refreshToken, req);
+    if (!tokens) {
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token is invalid or has expired'
+      });
+    }
+
+    setAuthCookies(res, tokens);
+
+    res.status(200).json({
+      success: true,
+      data: tokens
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Log out of the current session
+// @route   POST /api/auth/logout
+// @access  Private
+router.post('/logout', protect, sessionOnly, async (req, res, next) => {
+  try {
+    await Session.updateOne(
+      { _id: req.user.sessionId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'logout' }
+    );
+    clearAuthCookies(res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Log out of every session
+// @route   POST /api/auth/logout-all
+// @access  Private
+router.post('/logout-all', protect, sessionOnly, async (req, res, next) => {
+  try {
+    const result = await Session.revokeAllForAdmin(req.user.id);
+    clearAuthCookies(res);
+
+    res.status(200).json({
+      success: true,
+      message: `Logged out of ${result.modifiedCount} sessions`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get active sessions of the current admin
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/sessions', protect, sessionOnly, async (req, res, next) => {
+  try {
+    const sessions = await Session.getActiveSessions(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          id: session._id,
+          device: session.device,
+          userAgent: session.userAgent,
+          ip: session.ip,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          current: session._id.toString() === req.user.sessionId
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Revoke one of the current admin's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', protect, sessionOnly, async (req, res, next) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      admin: req.user.id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('revoked_by_admin');
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Complete login with a two-factor code or recovery code
+// @route   POST /api/auth/2fa/verify
+// @access  Public (requires the challenge token from login)
+router.post('/2fa/verify', [
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  body().custom(value => {
+    if (!value.code && !value.recoveryCode) {
+      throw new Error('A two-factor code or recovery code is required');
+    }
+    return true;
+  })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const decoded = verifyChallengeToken(challengeToken, '2fa');
+    const admin = decoded && await Admin.findById(decoded.id)
+      .select('+twoFactor.secret +twoFactor.lastUsedStep');
+
+    if (!admin || !admin.isActive || !admin.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired'
+      });
+    }
+
+    if (admin.isLocked) {
+      return res.status(423).json({
+        success: false,
+        message: 'Account is temporarily locked after too many failed login attempts. Please try again later',
+        data: { lockUntil: admin.lockUntil }
+      });
+    }
+
+    const isValid = code
+      ? await admin.verifyTwoFactorCode(code)
+      : await admin.consumeRecoveryCode(recoveryCode);
+
+    if (!isValid) {
+      return rejectFailedLogin(admin, req, res, 'Invalid two-factor code');
+    }
+
+    await completeLogin(admin, req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Start two-factor enrolment
+// @route   POST /api/auth/2fa/setup
+// @access  Private (or the setup challenge token from login)
+router.post('/2fa/setup', enrolmentAuth, async (req, res, next) => {
+  try {
+    const admin = await Admin.findById(req.user.id);
+
+    if (admin.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    admin.twoFactor.pendingSecret = secret;
+    await admin.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm a code to enable two-factor authentication',
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri({
+          secret,
+          accountName: admin.email,
+          issuer: process.env.TWO_FACTOR_ISSUER || 'Bahoju Tech'
+        })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Confirm enrolment and enable two-factor authentication
+// @route   POST /api/auth/2fa/enable
+// @access  Private (or the setup challenge token from login)
+router.post('/2fa/enable', enrolmentAuth, [
+  body('code').notEmpty().withMessage('Two-factor code is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const admin = await Admin.findById(req.user.id).select('+twoFactor.pendingSecret');
+
+    if (admin.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!admin.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup before enabling it'
+      });
+    }
+
+    const step = verifyCode(admin.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    admin.twoFactor.secret = admin.twoFactor.pendingSecret;
+    admin.twoFactor.pendingSecret = null;
+    admin.twoFactor.lastUsedStep = step;
+    admin.twoFactor.enabled = true;
+    admin.twoFactor.enabledAt = new Date();
+    const recoveryCodes = admin.generateRecoveryCodes();
+    await admin.save();
+
+    // Enrolment forced at login finishes signing the admin in
+    if (req.loginChallenge) {
+      return completeLogin(admin, req, res, { recoveryCodes });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+router.post('/2fa/disable', protect, sessionOnly, [
+  body('password').exists().withMessage('Password is required'),
+  body('code').notEmpty().withMessage('Two-factor code is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const settings = await Settings.getSettings();
+    if (settings.requireTwoFactor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is required for all admins and cannot be disabled'
+      });
+    }
+
+    const admin = await Admin.findById(req.user.id)
+      .select('+password +twoFactor.secret +twoFactor.lastUsedStep');
+
+    if (!admin.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const isMatch = await admin.matchPassword(req.body.password);
+    if (!isMatch || !(await admin.verifyTwoFactorCode(req.body.code))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or two-factor code'
+      });
+    }
+
+    admin.twoFactor = {
+      enabled: false,
+      enabledAt: null,
+      secret: null,
+      pendingSecret: null,
+      recoveryCodes: [],
+      lastUsedStep: null
+    };
+    await admin.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Replace recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+router.post('/2fa/recovery-codes', protect, sessionOnly, [
+  body('code').notEmpty().withMessage('Two-factor code is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const admin = await Admin.findById(req.user.id)
+      .select('+twoFactor.secret +twoFactor.lastUsedStep');
+
+    if (!admin.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await admin.verifyTwoFactorCode(req.body.code))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const recoveryCodes = admin.generateRecoveryCodes();
+    await admin.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get security settings
+// @route   GET /api/auth/security-settings
+// @access  Private (admins:manage)
+router.get('/security-settings', protect, sessionOnly, authorize('admins:manage'), async (req, res, next) => {
+  try {
+    const settings = await Settings.getSettings();
+    await settings.populate('updatedBy', 'name email');
+
+    res.status(200).json({
+      success: true,
+      data: { settings }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update security settings (e.g. require two-factor for all admins)
+// @route   PUT /api/auth/security-settings
+// @access  Private (admins:manage)
+router.put('/security-settings', protect, sessionOnly, authorize('admins:manage'), [
+  body('requireTwoFactor').isBoolean().withMessage('requireTwoFactor must be true or false')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const requireTwoFactor = req.body.requireTwoFactor === true || req.body.requireTwoFactor === 'true';
+
+    const settings = await Settings.getSettings();
+    const wasRequired = settings.requireTwoFactor;
+    settings.requireTwoFactor = requireTwoFactor;
+    settings.updatedBy = req.user.id;
+    await settings.save();
+
+    // Admins without two-factor are signed out so they enrol at their next login
+    if (requireTwoFactor && !wasRequired) {
+      const unenrolled = await Admin.find({ 'twoFactor.enabled': { $ne: true } }).select('_id');
+      await Promise.all(unenrolled.map(admin =>
+        Session.revokeAllForAdmin(admin._id, { reason: 'two_factor_required' })
+      ));
+    }
+
+    await settings.populate('updatedBy', 'name email');
+
+    res.status(200).json({
+      success: true,
+      message: 'Security settings updated successfully',
+      data: { settings }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 export default router;
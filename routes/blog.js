@@ -1,10 +1,152 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import rateLimit from 'express-rate-limit';
+import { body, param, query, validationResult } from 'express-validator';
 import Blog from '../models/Blog.js';
-import { protect, adminOnly } from '../middleware/auth.js';
+import BlogViewStats from '../models/BlogViewStats.js';
+import { REACTION_TYPES } from '../models/BlogReaction.js';
+import Comment, { MAX_COMMENT_DEPTH } from '../models/Comment.js';
+import BlogPreview from '../models/BlogPreview.js';
+import Series from '../models/Series.js';
+import { getPreviewUrl } from '../config/site.js';
+import BlogRevision, { REVISION_FIELDS } from '../models/BlogRevision.js';
+import { BLOG_STATUSES, getTransitionPermission, getEditPermission, isSendBack } from '../config/blogWorkflow.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { identifyVisitor } from '../middleware/visitor.js';
+import { diffLines, summarizeDiff } from '../utils/textDiff.js';
+import { createToken, hashToken } from '../utils/tokenHelper.js';
+import { CONTENT_FORMATS, renderContent, calculateReadTime } from '../utils/contentRenderer.js';
+import { escapeRegex } from '../utils/queryHelper.js';
+import { getSearchTerms, highlightText, buildSnippet } from '../utils/searchHelper.js';
+import { getCategoriesWithCounts } from '../utils/categoryHelper.js';
+import { recordBlogView, startOfDay, buildDailySeries } from '../utils/viewTracker.js';
+import { addReaction, removeReaction, getReactionSummary } from '../utils/reactionHelper.js';
+import { buildCommentTree, toPublicComment } from '../utils/commentHelper.js';
+import { populatePublishedPosts, getSeriesNavigation } from '../utils/seriesHelper.js';
+import { sendBlogReviewEmail, sendCommentNotification } from '../utils/emailService.js';
 
 const router = express.Router();
 
+// Revision fields compared line by line; the rest are compared as whole values
+const TEXT_DIFF_FIELDS = ['title', 'excerpt', 'content', 'seo.metaTitle', 'seo.metaDescription'];
+const VALUE_DIFF_FIELDS = ['contentFormat', 'seo.keywords', 'featuredImage', 'featuredImageCloudinary', 'contentImages', 'images'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Likes and reactions allowed per IP address, on top of the API-wide limit
+const reactionLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many reactions from this IP, please try again later'
+  }
+});
+
+// Comments allowed per IP address, on top of the API-wide limit.
+// Keyed by req.ip, so behind a proxy this needs TRUST_PROXY (see server.js).
+const commentLimiter = rateLimit({
+  windowMs: 10 * 60 * 1000,
+  max: 5,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many comments from this IP, please try again later'
+  }
+});
+
+// Comments wait for moderation unless COMMENT_MODERATION is turned off
+const isCommentModerationOn = () => process.env.COMMENT_MODERATION !== 'false';
+
+const reactionTypeValidation = param('type').isIn(REACTION_TYPES).withMessage(`Reaction must be one of: ${REACTION_TYPES.join(', ')}`);
+
+// Find a published post by slug for the public reaction routes, sending a 404 if there isn't one
+const findPublicBlog = async (req, res) => {
+  const blog = await Blog.findOne(Blog.publicFilter({ slug: req.params.slug })).select('likes reactions');
+  if (!blog) {
+    res.status(404).json({
+      success: false,
+      message: 'Blog post not found'
+    });
+    return null;
+  }
+  return blog;
+};
+
+// Send a post's like and reaction counts after a change
+const sendReactionSummary = async (res, blog, visitor, message) => {
+  const updated = await Blog.findById(blog._id).select('likes reactions');
+  res.status(200).json({
+    success: true,
+    message,
+    data: await getReactionSummary(updated, visitor)
+  });
+};
+
+const sendReactionLimited = (res) => {
+  res.status(429).json({
+    success: false,
+    message: 'Too many reactions from this device, please try again later'
+  });
+};
+
+const contentFormatValidation = body('contentFormat').optional().isIn(CONTENT_FORMATS).withMessage('Content format must be html or markdown');
+const archiveValidation = body('archiveAt').optional({ nullable: true }).isISO8601().withMessage('Archive time must be a valid date');
+
+// Fields that can't be set through the create and update endpoints.
+// Status (and the publish times that go with it) only changes through the workflow transitions,
+// and the author is whoever created the post. Slug and archiveAt stay editable, which on an
+// approved, scheduled or published post needs blog:publish (see checkCanEdit).
+const PROTECTED_FIELDS = [
+  '_id',
+  'status',
+  'publishAt',
+  'publishedAt',
+  'author',
+  'reviewComments',
+  'approvedBy',
+  'approvedAt',
+  'contentHtml',
+  'contentText',
+  'currentRevision',
+  'views',
+  'likes',
+  'reactions',
+  'commentCount',
+  'createdAt',
+  'updatedAt'
+];
+
+// Check the caller may edit (or delete) a post in its current status, sending a 403 response if not
+const checkCanEdit = (req, res, blog, action = 'edited') => {
+  if (req.user.can(getEditPermission(blog.status))) {
+    return true;
+  }
+
+  res.status(403).json({
+    success: false,
+    message: `A post that is ${blog.status} can only be ${action} with blog:publish. Move it back to draft first`
+  });
+  return false;
+};
+
+// Internal review fields, left out of queries unless asked for
+const REVIEW_FIELDS = '+reviewComments +approvedBy +approvedAt';
+
+const STATUS_CHANGE_MESSAGE = 'Status can only be changed through POST /api/blog/admin/:id/transition';
+
+// Serialize a value for comparison, ignoring subdocument ids
+const comparable = (value) => {
+  return JSON.stringify(value ?? null, (key, item) => (key === '_id' ? undefined : item));
+};
+
+// Read a dot path such as 'seo.metaTitle' from a plain object
+const getPath = (object, path) => {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+};
+
 // @desc    Get all published blogs
 // @route   GET /api/blog
 // @access  Public
@@ -17,29 +159,44 @@ router.get('/', async (req, res, next) => {
     const featured = req.query.featured;
 
     // Build query for published blogs only
-    let query = { status: 'published' };
+    let query = Blog.publicFilter();
     
     if (category) query.category = category;
     if (featured === 'true') query.featured = true;
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { excerpt: { $regex: search, $options: 'i' } },
-        { tags: { $in: [new RegExp(search, 'i')] } }
-      ];
-    }
+    if (search) query.$text = { $search: String(search) };
 
     const skip = (page - 1) * limit;
 
-    const blogs = await Blog.find(query)
+    // Search results are ranked by relevance, everything else by date
+    const sort = search
+      ? { score: { $meta: 'textScore' }, publishedAt: -1 }
+      : { publishedAt: -1 };
+
+    let blogs = await Blog.find(query, search ? { score: { $meta: 'textScore' } } : {})
       .populate('author', 'name email')
-      .select('-content') // Exclude full content for list view
-      .sort({ publishedAt: -1 })
+      .select(search ? '+contentText -content -contentHtml' : '-content -contentHtml') // Exclude full content for list view
+      .sort(sort)
       .skip(skip)
       .limit(limit);
 
     const total = await Blog.countDocuments(query);
 
+    // Add highlighted title, excerpt and content snippet to search results
+    if (search) {
+      const terms = getSearchTerms(search);
+      blogs = blogs.map(blog => {
+        const { contentText, ...result } = blog.toJSON();
+        return {
+          ...result,
+          highlights: {
+            title: highlightText(blog.title, terms),
+            excerpt: highlightText(blog.excerpt, terms),
+            content: buildSnippet(contentText, terms)
+          }
+        };
+      });
+    }
+
     res.status(200).json({
       success: true,
       data: {
@@ -57,15 +214,60 @@ router.get('/', async (req, res, next) => {
   }
 });
 
+// @desc    Suggest published posts and tags for the search box
+// @route   GET /api/blog/search/suggest?q=
+// @access  Public
+router.get('/search/suggest', async (req, res, next) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    const limit = Math.min(parseInt(req.query.limit) || 5, 10);
+
+    if (q.length < 2) {
+      return res.status(200).json({
+        success: true,
+        data: { posts: [], tags: [] }
+      });
+    }
+
+    // Match the start of any word in the title, and tags starting with the query
+    const wordStart = new RegExp(`(^|\\s)${escapeRegex(q)}`, 'i');
+    const tagStart = new RegExp(`^${escapeRegex(q.toLowerCase())}`);
+
+    const [posts, tags] = await Promise.all([
+      Blog.find(Blog.publicFilter({ title: wordStart }))
+        .select('title slug')
+        .sort({ views: -1, publishedAt: -1 })
+        .limit(limit),
+      Blog.aggregate([
+        { $match: Blog.publicFilter({ tags: tagStart }) },
+        { $unwind: '$tags' },
+        { $match: { tags: tagStart } },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: limit }
+      ])
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        posts: posts.map(post => ({ title: post.title, slug: post.slug })),
+        tags: tags.map(tag => ({ tag: tag._id, count: tag.count }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @desc    Get single blog by slug
 // @route   GET /api/blog/:slug
 // @access  Public
 router.get('/:slug', async (req, res, next) => {
   try {
-    const blog = await Blog.findOne({ 
-      slug: req.params.slug, 
-      status: 'published' 
-    }).populate('author', 'name email avatar');
+    const blog = await Blog.findOne(Blog.publicFilter({ 
+      slug: req.params.slug 
+    })).populate('author', 'name email avatar');
 
     if (!blog) {
       return res.status(404).json({
@@ -74,9 +276,10 @@ router.get('/:slug', async (req, res, next) => {
       });
     }
 
-    // Increment view count
-    blog.views += 1;
-    await blog.save();
+    // Count the view once per visitor, ignoring bots
+    if (await recordBlogView(blog, req)) {
+      blog.views += 1;
+    }
 
     res.status(200).json({
       success: true,
@@ -94,12 +297,11 @@ router.get('/featured/posts', async (req, res, next) => {
   try {
     const limit = parseInt(req.query.limit) || 3;
 
-    const blogs = await Blog.find({ 
-      status: 'published', 
+    const blogs = await Blog.find(Blog.publicFilter({ 
       featured: true 
-    })
+    }))
       .populate('author', 'name email')
-      .select('-content')
+      .select('-content -contentHtml')
       .sort({ publishedAt: -1 })
       .limit(limit);
 
@@ -112,12 +314,14 @@ router.get('/featured/posts', async (req, res, next) => {
   }
 });
 
-// @desc    Get blog categories
+// @desc    Get blog categories with published post counts
 // @route   GET /api/blog/categories/list
 // @access  Public
 router.get('/categories/list', async (req, res, next) => {
   try {
-    const categories = await Blog.distinct('category', { status: 'published' });
+    const categories = await getCategoriesWithCounts({
+      includeEmpty: req.query.includeEmpty === 'true'
+    });
     
     res.status(200).json({
       success: true,
@@ -128,44 +332,62 @@ router.get('/categories/list', async (req, res, next) => {
   }
 });
 
-// Admin routes below - require authentication and admin privileges
+// @desc    Get tags used by published posts with post counts
+// @route   GET /api/blog/tags/list
+// @access  Public
+router.get('/tags/list', async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
 
-// @desc    Get all blogs (including drafts) - Admin only
-// @route   GET /api/blog/admin/all
-// @access  Private/Admin
-router.get('/admin/all', protect, adminOnly, async (req, res, next) => {
+    const tags = await Blog.aggregate([
+      { $match: Blog.publicFilter() },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: { tags: tags.map(tag => ({ tag: tag._id, count: tag.count })) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get published blogs with a tag
+// @route   GET /api/blog/tag/:tag
+// @access  Public
+router.get('/tag/:tag', async (req, res, next) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
-    const status = req.query.status;
-    const category = req.query.category;
-    const search = req.query.search;
-
-    // Build query
-    let query = {};
-    if (status) query.status = status;
-    if (category) query.category = category;
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { excerpt: { $regex: search, $options: 'i' } }
-      ];
-    }
+    const tag = req.params.tag.trim().toLowerCase();
 
+    const query = Blog.publicFilter({ tags: tag });
     const skip = (page - 1) * limit;
 
     const blogs = await Blog.find(query)
       .populate('author', 'name email')
-      .select('-content')
-      .sort({ createdAt: -1 })
+      .select('-content -contentHtml')
+      .sort({ publishedAt: -1 })
       .skip(skip)
       .limit(limit);
 
     const total = await Blog.countDocuments(query);
 
+    if (total === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
     res.status(200).json({
       success: true,
       data: {
+        tag,
         blogs,
         pagination: {
           page,
@@ -180,26 +402,136 @@ router.get('/admin/all', protect, adminOnly, async (req, res, next) => {
   }
 });
 
-// @desc    Create new blog post - Admin only
-// @route   POST /api/blog
-// @access  Private/Admin
-router.post('/', protect, adminOnly, [
-  body('title').trim().isLength({ min: 5 }).withMessage('Title must be at least 5 characters'),
-  body('excerpt').trim().isLength({ min: 10 }).withMessage('Excerpt must be at least 10 characters'),
-  body('content').trim().isLength({ min: 50 }).withMessage('Content must be at least 50 characters'),
-  body('category').isIn([
-    'Digital Marketing',
-    'Software Development',
-    'Cloud Computing',
-    'Training',
-    'Business Branding',
-    'Technology',
-    'Innovation',
-    'General'
-  ]).withMessage('Invalid category'),
-  body('featuredImageCloudinary.url').optional().isURL().withMessage('Featured image URL must be valid'),
-  body('contentImages').optional().isArray().withMessage('Content images must be an array')
-], async (req, res, next) => {
+// @desc    Get published posts related to a post ("read next")
+// @route   GET /api/blog/:slug/related
+// @access  Public
+router.get('/:slug/related', async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 4, 12);
+
+    const blog = await Blog.findOne(Blog.publicFilter({ slug: req.params.slug }))
+      .select('tags category');
+
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog post not found'
+      });
+    }
+
+    const blogs = await Blog.findRelated(blog, limit);
+
+    // Top up with the latest posts when few posts share a tag or category
+    if (blogs.length < limit) {
+      const latest = await Blog.find(Blog.publicFilter({
+        _id: { $nin: [blog._id, ...blogs.map(related => related._id)] }
+      }))
+        .populate('author', 'name email')
+        .select('-content -contentHtml')
+        .sort({ publishedAt: -1 })
+        .limit(limit - blogs.length)
+        .lean();
+      blogs.push(...latest);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { blogs }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get the series a post belongs to, with previous/next navigation
+// @route   GET /api/blog/:slug/series
+// @access  Public
+router.get('/:slug/series', async (req, res, next) => {
+  try {
+    const blog = await Blog.findOne(Blog.publicFilter({ slug: req.params.slug })).select('_id');
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog post not found'
+      });
+    }
+
+    const series = await Series.findOne({ posts: blog._id });
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'This post is not part of a series'
+      });
+    }
+
+    await populatePublishedPosts(series);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        series,
+        navigation: getSeriesNavigation(series.posts, blog._id)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get like and reaction counts of a post, and the visitor's own
+// @route   GET /api/blog/:slug/reactions
+// @access  Public
+router.get('/:slug/reactions', identifyVisitor, async (req, res, next) => {
+  try {
+    const blog = await findPublicBlog(req, res);
+    if (!blog) return;
+
+    res.status(200).json({
+      success: true,
+      data: await getReactionSummary(blog, req.visitor)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Like a post
+// @route   POST /api/blog/:slug/like
+// @access  Public
+router.post('/:slug/like', reactionLimiter, identifyVisitor, async (req, res, next) => {
+  try {
+    const blog = await findPublicBlog(req, res);
+    if (!blog) return;
+
+    const { limited } = await addReaction(blog, 'like', req.visitor);
+    if (limited) return sendReactionLimited(res);
+
+    await sendReactionSummary(res, blog, req.visitor, 'Post liked');
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Unlike a post
+// @route   DELETE /api/blog/:slug/like
+// @access  Public
+router.delete('/:slug/like', reactionLimiter, identifyVisitor, async (req, res, next) => {
+  try {
+    const blog = await findPublicBlog(req, res);
+    if (!blog) return;
+
+    await removeReaction(blog, 'like', req.visitor);
+
+    await sendReactionSummary(res, blog, req.visitor, 'Like removed');
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    React to a post
+// @route   POST /api/blog/:slug/reactions/:type
+// @access  Public
+router.post('/:slug/reactions/:type', reactionLimiter, reactionTypeValidation, identifyVisitor, async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -210,32 +542,22 @@ router.post('/', protect, adminOnly, [
       });
     }
 
-    const blogData = {
-      ...req.body,
-      author: req.user.id
-    };
+    const blog = await findPublicBlog(req, res);
+    if (!blog) return;
 
-    const blog = await Blog.create(blogData);
-    await blog.populate('author', 'name email');
+    const { limited } = await addReaction(blog, req.params.type, req.visitor);
+    if (limited) return sendReactionLimited(res);
 
-    res.status(201).json({
-      success: true,
-      message: 'Blog post created successfully',
-      data: { blog }
-    });
+    await sendReactionSummary(res, blog, req.visitor, 'Reaction added');
   } catch (error) {
     next(error);
   }
 });
 
-// @desc    Update blog post - Admin only
-// @route   PUT /api/blog/:id
-// @access  Private/Admin
-router.put('/:id', protect, adminOnly, [
-  body('title').optional().trim().isLength({ min: 5 }).withMessage('Title must be at least 5 characters'),
-  body('excerpt').optional().trim().isLength({ min: 10 }).withMessage('Excerpt must be at least 10 characters'),
-  body('content').optional().trim().isLength({ min: 50 }).withMessage('Content must be at least 50 characters')
-], async (req, res, next) => {
+// @desc    Remove a reaction from a post
+// @route   DELETE /api/blog/:slug/reactions/:type
+// @access  Public
+router.delete('/:slug/reactions/:type', reactionLimiter, reactionTypeValidation, identifyVisitor, async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -246,12 +568,26 @@ router.put('/:id', protect, adminOnly, [
       });
     }
 
-    const blog = await Blog.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    ).populate('author', 'name email');
+    const blog = await findPublicBlog(req, res);
+    if (!blog) return;
+
+    await removeReaction(blog, req.params.type, req.visitor);
+
+    await sendReactionSummary(res, blog, req.visitor, 'Reaction removed');
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get approved comments of a post as threads
+// @route   GET /api/blog/:slug/comments
+// @access  Public
+router.get('/:slug/comments', async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
 
+    const blog = await Blog.findOne(Blog.publicFilter({ slug: req.params.slug })).select('allowComments commentCount');
     if (!blog) {
       return res.status(404).json({
         success: false,
@@ -259,22 +595,63 @@ router.put('/:id', protect, adminOnly, [
       });
     }
 
+    // Threads are paged by their top-level comment, newest thread first
+    const fields = 'parent depth authorName content createdAt';
+    const threadFilter = { blog: blog._id, status: 'approved', parent: null };
+    const skip = (page - 1) * limit;
+
+    const [threads, total] = await Promise.all([
+      Comment.find(threadFilter)
+        .select(fields)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Comment.countDocuments(threadFilter)
+    ]);
+
+    const replies = await Comment.findApprovedReplies(threads.map(thread => thread._id), fields);
+
     res.status(200).json({
       success: true,
-      message: 'Blog post updated successfully',
-      data: { blog }
+      data: {
+        comments: buildCommentTree([...threads, ...replies]),
+        commentCount: blog.commentCount,
+        allowComments: blog.allowComments,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
     });
   } catch (error) {
     next(error);
   }
 });
 
-// @desc    Delete blog post - Admin only
-// @route   DELETE /api/blog/:id
-// @access  Private/Admin
-router.delete('/:id', protect, adminOnly, async (req, res, next) => {
+// @desc    Submit a comment or reply on a post
+// @route   POST /api/blog/:slug/comments
+// @access  Public
+router.post('/:slug/comments', commentLimiter, [
+  body('authorName').trim().notEmpty().withMessage('Name is required')
+    .isLength({ max: 80 }).withMessage('Name cannot be more than 80 characters'),
+  body('authorEmail').isEmail().withMessage('Please provide a valid email'),
+  body('content').trim().isLength({ min: 2, max: 5000 }).withMessage('Comment must be between 2 and 5000 characters'),
+  body('parentId').optional({ nullable: true }).isMongoId().withMessage('Invalid parent comment')
+], async (req, res, next) => {
   try {
-    const blog = await Blog.findById(req.params.id);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const blog = await Blog.findOne(Blog.publicFilter({ slug: req.params.slug })).select('title slug allowComments');
     if (!blog) {
       return res.status(404).json({
         success: false,
@@ -282,34 +659,1014 @@ router.delete('/:id', protect, adminOnly, async (req, res, next) => {
       });
     }
 
-    await blog.deleteOne();
+    if (!blog.allowComments) {
+      return res.status(403).json({
+        success: false,
+        message: 'Comments are closed for this post'
+      });
+    }
 
-    res.status(200).json({
+    // Replies go under an approved comment of the same post; past the maximum depth they join the parent's thread
+    let parent = null;
+    if (req.body.parentId) {
+      parent = await Comment.findOne({ _id: req.body.parentId, blog: blog._id, status: 'approved' });
+      if (!parent) {
+        return res.status(400).json({
+          success: false,
+          message: 'The comment you are replying to does not exist'
+        });
+      }
+      if (parent.depth >= MAX_COMMENT_DEPTH - 1) {
+        parent = await Comment.findOne({ _id: parent.parent, blog: blog._id, status: 'approved' });
+        if (!parent) {
+          return res.status(400).json({
+            success: false,
+            message: 'The thread you are replying to is no longer available'
+          });
+        }
+      }
+    }
+
+    // Honeypot: the `website` field is hidden from readers, so only bots fill it in
+    const isSpam = Boolean(req.body.website);
+
+    const comment = await Comment.create({
+      blog: blog._id,
+      parent: parent ? parent._id : null,
+      depth: parent ? parent.depth + 1 : 0,
+      authorName: req.body.authorName,
+      authorEmail: req.body.authorEmail,
+      content: req.body.content,
+      status: isSpam ? 'spam' : isCommentModerationOn() ? 'pending' : 'approved',
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    if (comment.status === 'approved') {
+      await Comment.syncBlogCount(blog._id);
+    }
+
+    if (!isSpam) {
+      // Send notification email to admin (async, don't wait for it)
+      sendCommentNotification(comment, blog).catch(err => {
+        console.error('Failed to send comment notification:', err);
+      });
+    }
+
+    // Bots get the same answer as readers
+    res.status(201).json({
       success: true,
-      message: 'Blog post deleted successfully'
+      message: comment.status === 'approved'
+        ? 'Thank you for your comment!'
+        : 'Thank you for your comment! It will appear once it has been approved.',
+      data: {
+        comment: {
+          ...toPublicComment(comment),
+          status: isSpam ? 'pending' : comment.status
+        }
+      }
     });
   } catch (error) {
     next(error);
   }
 });
 
-// @desc    Get single blog by ID (Admin only)
-// @route   GET /api/blog/admin/:id
-// @access  Private/Admin
-router.get('/admin/:id', protect, adminOnly, async (req, res, next) => {
+// @desc    View an unpublished post (or one of its revisions) through a preview link
+// @route   GET /api/blog/preview/:token
+// @access  Public (preview token)
+router.get('/preview/:token', async (req, res, next) => {
   try {
-    const blog = await Blog.findById(req.params.id)
-      .populate('author', 'name email avatar');
+    // Previews must never be cached or indexed
+    res.set({
+      'Cache-Control': 'private, no-store',
+      'X-Robots-Tag': 'noindex, nofollow'
+    });
 
-    if (!blog) {
+    const preview = await BlogPreview.findUsable(hashToken(req.params.token));
+    if (!preview) {
+      return res.status(404).json({
+        success: false,
+        message: 'Preview link is invalid or has expired'
+      });
+    }
+
+    const blog = await Blog.findById(preview.blog).populate('author', 'name email avatar');
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog post not found'
+      });
+    }
+
+    let post = blog.toJSON();
+
+    // Show the revision's version of the revisioned fields, rendered the way a save would
+    if (preview.revision !== null) {
+      const revision = await BlogRevision.findOne({ blog: blog._id, revision: preview.revision }).lean();
+      if (!revision) {
+        return res.status(404).json({
+          success: false,
+          message: 'Revision not found'
+        });
+      }
+
+      const rendered = renderContent(revision.content, revision.contentFormat);
+      post = {
+        ...post,
+        ...Object.fromEntries(REVISION_FIELDS.map(field => [field, revision[field]])),
+        contentHtml: rendered.html,
+        readTime: calculateReadTime(rendered.text)
+      };
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        blog: post,
+        preview: {
+          revision: preview.revision ?? blog.currentRevision,
+          status: blog.status,
+          expiresAt: preview.expiresAt
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Admin routes below - require authentication and admin privileges
+
+// @desc    Get all blogs (including drafts) - Admin only
+// @route   GET /api/blog/admin/all
+// @access  Private (blog:read)
+router.get('/admin/all', protect, authorize('blog:read'), async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const status = req.query.status;
+    const category = req.query.category;
+    const search = req.query.search;
+
+    // Build query
+    let query = {};
+    if (status) query.status = status;
+    if (category) query.category = category;
+    if (search) {
+      const pattern = escapeRegex(search);
+      query.$or = [
+        { title: { $regex: pattern, $options: 'i' } },
+        { excerpt: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    const skip = (page - 1) * limit;
+
+    const blogs = await Blog.find(query)
+      .populate('author', 'name email')
+      .select('-content -contentHtml')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Blog.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        blogs,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Create new blog post - Admin only
+// @route   POST /api/blog
+// @access  Private (blog:write)
+router.post('/', protect, authorize('blog:write'), [
+  body('title').trim().isLength({ min: 5 }).withMessage('Title must be at least 5 characters'),
+  body('excerpt').trim().isLength({ min: 10 }).withMessage('Excerpt must be at least 10 characters'),
+  body('content').trim().isLength({ min: 50 }).withMessage('Content must be at least 50 characters'),
+  body('category').trim().notEmpty().withMessage('Category is required'),
+  body('featuredImageCloudinary.url').optional().isURL().withMessage('Featured image URL must be valid'),
+  body('contentImages').optional().isArray().withMessage('Content images must be an array'),
+  contentFormatValidation,
+  archiveValidation
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // New posts always start as drafts
+    if (req.body.status && req.body.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: STATUS_CHANGE_MESSAGE
+      });
+    }
+
+    const blogData = { ...req.body };
+    PROTECTED_FIELDS.forEach(field => delete blogData[field]);
+    blogData.author = req.user.id;
+
+    const blog = await Blog.create(blogData);
+    await blog.populate('author', 'name email');
+
+    res.status(201).json({
+      success: true,
+      message: 'Blog post created successfully',
+      data: { blog }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update blog post - Admin only
+// @route   PUT /api/blog/:id
+// @access  Private (blog:write)
+router.put('/:id', protect, authorize('blog:write'), [
+  body('title').optional().trim().isLength({ min: 5 }).withMessage('Title must be at least 5 characters'),
+  body('excerpt').optional().trim().isLength({ min: 10 }).withMessage('Excerpt must be at least 10 characters'),
+  body('content').optional().trim().isLength({ min: 50 }).withMessage('Content must be at least 50 characters'),
+  contentFormatValidation,
+  archiveValidation
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const blog = await Blog.findById(req.params.id);
+
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog post not found'
+      });
+    }
+
+    if (req.body.status && req.body.status !== blog.status) {
+      return res.status(400).json({
+        success: false,
+        message: STATUS_CHANGE_MESSAGE
+      });
+    }
+
+    if (!checkCanEdit(req, res, blog)) return;
+
+    // Save the document (rather than updating in place) so a revision is recorded
+    const updates = { ...req.body };
+    PROTECTED_FIELDS.forEach(field => delete updates[field]);
+    blog.set(updates);
+    await blog.save();
+    await blog.populate('author', 'name email');
+
+    res.status(200).json({
+      success: true,
+      message: 'Blog post updated successfully',
+      data: { blog }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete blog post - Admin only
+// @route   DELETE /api/blog/:id
+// @access  Private (blog:write)
+router.delete('/:id', protect, authorize('blog:write'), async (req, res, next) => {
+  try {
+    const blog = await Blog.findById(req.params.id);
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog post not found'
+      });
+    }
+
+    if (!checkCanEdit(req, res, blog, 'deleted')) return;
+
+    await blog.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Blog post deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Longest range the view analytics endpoints return, in days
+const MAX_ANALYTICS_DAYS = 366;
+
+const analyticsValidation = [
+  query('from').optional().isISO8601().withMessage('Invalid from date'),
+  query('to').optional().isISO8601().withMessage('Invalid to date')
+];
+
+// Resolve the analytics date range: the last 30 days unless `from` and `to` are given
+const getAnalyticsRange = (req) => {
+  const to = startOfDay(req.query.to ? new Date(req.query.to) : new Date());
+  const from = startOfDay(req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 29 * DAY_MS));
+  return { from, to };
+};
+
+// Validate the request and its date range, sending a 400 response if either is invalid
+const checkAnalyticsRequest = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return null;
+  }
+
+  const range = getAnalyticsRange(req);
+  const days = (range.to - range.from) / DAY_MS + 1;
+  if (days < 1 || days > MAX_ANALYTICS_DAYS) {
+    res.status(400).json({
+      success: false,
+      message: `Date range must run forwards and cover at most ${MAX_ANALYTICS_DAYS} days`
+    });
+    return null;
+  }
+
+  return range;
+};
+
+// @desc    Get daily views per category - Admin only
+// @route   GET /api/blog/admin/analytics/categories
+// @access  Private (blog:read)
+router.get('/admin/analytics/categories', protect, authorize('blog:read'), analyticsValidation, async (req, res, next) => {
+  try {
+    const range = checkAnalyticsRequest(req, res);
+    if (!range) return;
+    const { from, to } = range;
+
+    const rows = await BlogViewStats.aggregate([
+      { $match: { date: { $gte: from, $lte: to } } },
+      { $group: { _id: { category: '$category', date: '$date' }, views: { $sum: '$views' } } },
+      {
+        $group: {
+          _id: '$_id.category',
+          views: { $sum: '$views' },
+          days: { $push: { date: '$_id.date', views: '$views' } }
+        }
+      },
+      { $sort: { views: -1, _id: 1 } }
+    ]);
+
+    const categories = rows.map(row => ({
+      category: row._id,
+      views: row.views,
+      series: buildDailySeries(row.days, from, to)
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from,
+        to,
+        total: categories.reduce((sum, category) => sum + category.views, 0),
+        categories
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get the most viewed posts in a date range - Admin only
+// @route   GET /api/blog/admin/analytics/posts
+// @access  Private (blog:read)
+router.get('/admin/analytics/posts', protect, authorize('blog:read'), analyticsValidation, async (req, res, next) => {
+  try {
+    const range = checkAnalyticsRequest(req, res);
+    if (!range) return;
+    const { from, to } = range;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+
+    const match = { date: { $gte: from, $lte: to } };
+    if (req.query.category) match.category = String(req.query.category);
+
+    const rows = await BlogViewStats.aggregate([
+      { $match: match },
+      { $group: { _id: '$blog', views: { $sum: '$views' } } },
+      { $sort: { views: -1, _id: 1 } },
+      { $limit: limit }
+    ]);
+
+    const blogs = await Blog.find({ _id: { $in: rows.map(row => row._id) } })
+      .select('title slug category status publishedAt views');
+    const blogsById = new Map(blogs.map(blog => [blog.id, blog]));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from,
+        to,
+        posts: rows
+          .filter(row => blogsById.has(String(row._id)))
+          .map(row => ({ blog: blogsById.get(String(row._id)), views: row.views }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Orderings for the engagement ranking
+const ENGAGEMENT_SORTS = {
+  engagement: { engagement: -1, views: -1 },
+  likes: { likes: -1, engagement: -1 },
+  reactions: { reactionTotal: -1, engagement: -1 },
+  comments: { commentCount: -1, engagement: -1 },
+  rate: { engagementRate: -1, engagement: -1 },
+  views: { views: -1, engagement: -1 }
+};
+
+// @desc    Rank posts by likes, reactions and comments - Admin only
+// @route   GET /api/blog/admin/analytics/engagement
+// @access  Private (blog:read)
+router.get('/admin/analytics/engagement', protect, authorize('blog:read'), [
+  query('sort').optional().isIn(Object.keys(ENGAGEMENT_SORTS)).withMessage(`Sort must be one of: ${Object.keys(ENGAGEMENT_SORTS).join(', ')}`)
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+    const sort = ENGAGEMENT_SORTS[req.query.sort || 'engagement'];
+
+    const match = { status: 'published' };
+    if (req.query.category) match.category = String(req.query.category);
+
+    const posts = await Blog.aggregate([
+      { $match: match },
+      {
+        $project: {
+          title: 1,
+          slug: 1,
+          category: 1,
+          publishedAt: 1,
+          views: 1,
+          likes: 1,
+          reactions: 1,
+          commentCount: { $ifNull: ['$commentCount', 0] },
+          reactionTotal: { $add: REACTION_TYPES.map(type => ({ $ifNull: [`$reactions.${type}`, 0] })) }
+        }
+      },
+      { $addFields: { engagement: { $add: ['$likes', '$reactionTotal', '$commentCount'] } } },
+      // Engagements per view
+      { $addFields: { engagementRate: { $divide: ['$engagement', { $max: ['$views', 1] }] } } },
+      { $sort: { ...sort, publishedAt: -1 } },
+      { $limit: limit }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: { posts }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get all tags with post counts (including unpublished posts) - Admin only
+// @route   GET /api/blog/admin/tags
+// @access  Private (blog:read)
+router.get('/admin/tags', protect, authorize('blog:read'), async (req, res, next) => {
+  try {
+    const search = req.query.search;
+
+    const tags = await Blog.aggregate([
+      { $unwind: '$tags' },
+      ...(search ? [{ $match: { tags: { $regex: escapeRegex(String(search).toLowerCase()) } } }] : []),
+      {
+        $group: {
+          _id: '$tags',
+          count: { $sum: 1 },
+          published: { $sum: { $cond: [{ $eq: ['$status', 'published'] }, 1, 0] } }
+        }
+      },
+      { $sort: { count: -1, _id: 1 } }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        tags: tags.map(tag => ({ tag: tag._id, count: tag.count, published: tag.published }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Rename a tag on every post
+// @route   PUT /api/blog/admin/tags/:tag
+// @access  Private (tags:manage)
+router.put('/admin/tags/:tag', protect, authorize('tags:manage'), [
+  body('name').trim().toLowerCase().notEmpty().withMessage('New tag name is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const tag = req.params.tag.trim().toLowerCase();
+    if (tag === req.body.name) {
+      return res.status(400).json({
+        success: false,
+        message: 'New tag name must be different'
+      });
+    }
+
+    // Renaming to a tag that already exists merges the two
+    const postsUpdated = await Blog.replaceTags([tag], req.body.name);
+    if (postsUpdated === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Tag renamed successfully',
+      data: { tag: req.body.name, postsUpdated }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Merge tags into one
+// @route   POST /api/blog/admin/tags/merge
+// @access  Private (tags:manage)
+router.post('/admin/tags/merge', protect, authorize('tags:manage'), [
+  body('sources').isArray({ min: 1 }).withMessage('At least one tag to merge is required'),
+  body('sources.*').isString().withMessage('Tags must be strings').trim().toLowerCase()
+    .notEmpty().withMessage('Tags cannot be empty'),
+  body('target').trim().toLowerCase().notEmpty().withMessage('Target tag is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const target = req.body.target;
+    const sources = [...new Set(req.body.sources)].filter(tag => tag !== target);
+    if (sources.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide at least one tag other than the target'
+      });
+    }
+
+    const postsUpdated = await Blog.replaceTags(sources, target);
+
+    res.status(200).json({
+      success: true,
+      message: 'Tags merged successfully',
+      data: { tag: target, merged: sources, postsUpdated }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get single blog by ID (Admin only)
+// @route   GET /api/blog/admin/:id
+// @access  Private (blog:read)
+router.get('/admin/:id', protect, authorize('blog:read'), async (req, res, next) => {
+  try {
+    const blog = await Blog.findById(req.params.id)
+      .select(REVIEW_FIELDS)
+      .populate('author', 'name email avatar')
+      .populate('approvedBy', 'name email')
+      .populate('reviewComments.addedBy', 'name email');
+
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog post not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { blog }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get daily views of a blog post - Admin only
+// @route   GET /api/blog/admin/:id/analytics
+// @access  Private (blog:read)
+router.get('/admin/:id/analytics', protect, authorize('blog:read'), analyticsValidation, async (req, res, next) => {
+  try {
+    const range = checkAnalyticsRequest(req, res);
+    if (!range) return;
+    const { from, to } = range;
+
+    const blog = await Blog.findById(req.params.id).select('title slug category status publishedAt views');
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog post not found'
+      });
+    }
+
+    const rows = await BlogViewStats.find({ blog: blog._id, date: { $gte: from, $lte: to } })
+      .select('date views');
+    const series = buildDailySeries(rows, from, to);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        blog,
+        from,
+        to,
+        views: series.reduce((sum, day) => sum + day.views, 0),
+        series
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Move a blog post through the editorial workflow
+// @route   POST /api/blog/admin/:id/transition
+// @access  Private (permission depends on the move: blog:write, blog:review or blog:publish)
+router.post('/admin/:id/transition', protect, authorize('blog:read'), [
+  body('status').isIn(BLOG_STATUSES).withMessage('Invalid status'),
+  body('comment').optional().trim().isLength({ max: 2000 }).withMessage('Comment cannot be more than 2000 characters'),
+  body('publishAt').optional().isISO8601().withMessage('Publish time must be a valid date')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const blog = await Blog.findById(req.params.id).select(REVIEW_FIELDS).populate('author', 'name email');
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog post not found'
+      });
+    }
+
+    const from = blog.status;
+    const to = req.body.status;
+    const comment = req.body.comment;
+
+    const permission = getTransitionPermission(from, to);
+    if (!permission) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot move a post from ${from} to ${to}`
+      });
+    }
+
+    if (!req.user.can(permission)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Requires permission: ${permission}`
+      });
+    }
+
+    // Reviewers can't approve their own posts; owners are trusted to
+    const isAuthor = blog.author && blog.author._id.equals(req.user._id);
+    if (to === 'approved' && isAuthor && req.user.role !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot approve your own post'
+      });
+    }
+
+    if (isSendBack(from, to) && !comment) {
+      return res.status(400).json({
+        success: false,
+        message: 'A comment is required when sending a post back'
+      });
+    }
+
+    if (to === 'scheduled') {
+      if (!req.body.publishAt || new Date(req.body.publishAt) <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'A future publish time is required to schedule a post'
+        });
+      }
+      blog.publishAt = req.body.publishAt;
+    }
+
+    if (to === 'approved') {
+      blog.approvedBy = req.user.id;
+      blog.approvedAt = new Date();
+    } else if (to === 'draft') {
+      blog.approvedBy = null;
+      blog.approvedAt = null;
+    }
+
+    if (comment) {
+      blog.reviewComments.push({
+        comment,
+        addedBy: req.user.id,
+        fromStatus: from,
+        toStatus: to
+      });
+    }
+
+    blog.status = to;
+    await blog.save();
+
+    // Let the author know the review outcome (async, don't wait for it)
+    const reviewed = to === 'approved' || isSendBack(from, to);
+    if (reviewed && blog.author && !isAuthor) {
+      sendBlogReviewEmail(blog, blog.author, {
+        approved: to === 'approved',
+        reviewerName: req.user.admin.name,
+        comment
+      }).catch(err => {
+        console.error('Failed to send blog review email:', err);
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Blog post moved from ${from} to ${blog.status}`,
+      data: { blog }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Add a review comment to a blog post
+// @route   POST /api/blog/admin/:id/comments
+// @access  Private (blog:review)
+router.post('/admin/:id/comments', protect, authorize('blog:review'), [
+  body('comment').trim().notEmpty().withMessage('Comment is required')
+    .isLength({ max: 2000 }).withMessage('Comment cannot be more than 2000 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const blog = await Blog.findById(req.params.id).select(REVIEW_FIELDS);
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog post not found'
+      });
+    }
+
+    blog.reviewComments.push({
+      comment: req.body.comment,
+      addedBy: req.user.id
+    });
+    await blog.save();
+    await blog.populate('reviewComments.addedBy', 'name email');
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added successfully',
+      data: { reviewComments: blog.reviewComments }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get revision history of a blog post
+// @route   GET /api/blog/admin/:id/revisions
+// @access  Private (blog:read)
+router.get('/admin/:id/revisions', protect, authorize('blog:read'), async (req, res, next) => {
+  try {
+    const blog = await Blog.findById(req.params.id).select('title currentRevision');
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog post not found'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const revisions = await BlogRevision.find({ blog: blog._id })
+      .populate('editor', 'name email')
+      .select('-content')
+      .sort({ revision: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await BlogRevision.countDocuments({ blog: blog._id });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        currentRevision: blog.currentRevision,
+        revisions,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Compare two revisions of a blog post
+// @route   GET /api/blog/admin/:id/revisions/diff?from=&to=
+// @access  Private (blog:read)
+router.get('/admin/:id/revisions/diff', protect, authorize('blog:read'), async (req, res, next) => {
+  try {
+    const blog = await Blog.findById(req.params.id).select('currentRevision');
+    if (!blog) {
       return res.status(404).json({
         success: false,
         message: 'Blog post not found'
       });
     }
 
+    // Defaults to the latest revision compared with the one before it.
+    // The first revision is compared with an empty post (revision 0).
+    const to = parseInt(req.query.to) || blog.currentRevision;
+    const from = parseInt(req.query.from) || to - 1;
+
+    const [fromRevision, toRevision] = await Promise.all([
+      from === 0 ? {} : BlogRevision.findOne({ blog: blog._id, revision: from }).lean(),
+      BlogRevision.findOne({ blog: blog._id, revision: to }).lean()
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const changes = [];
+
+    for (const field of TEXT_DIFF_FIELDS) {
+      const before = getPath(fromRevision, field) || '';
+      const after = getPath(toRevision, field) || '';
+      if (before !== after) {
+        const diff = diffLines(before, after);
+        changes.push({ field, type: 'text', summary: summarizeDiff(diff), diff });
+      }
+    }
+
+    for (const field of VALUE_DIFF_FIELDS) {
+      const before = getPath(fromRevision, field) ?? null;
+      const after = getPath(toRevision, field) ?? null;
+      if (JSON.stringify(before) !== JSON.stringify(after)) {
+        changes.push({ field, type: 'value', before, after });
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { from, to, changes }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get a single revision of a blog post
+// @route   GET /api/blog/admin/:id/revisions/:revision
+// @access  Private (blog:read)
+router.get('/admin/:id/revisions/:revision', protect, authorize('blog:read'), async (req, res, next) => {
+  try {
+    const revision = await BlogRevision.findOne({
+      blog: req.params.id,
+      revision: parseInt(req.params.revision)
+    }).populate('editor', 'name email');
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { revision }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Restore a blog post to an earlier revision (recorded as a new revision)
+// @route   POST /api/blog/admin/:id/revisions/:revision/restore
+// @access  Private (blog:write)
+router.post('/admin/:id/revisions/:revision/restore', protect, authorize('blog:write'), async (req, res, next) => {
+  try {
+    const blog = await Blog.findById(req.params.id);
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog post not found'
+      });
+    }
+
+    if (!checkCanEdit(req, res, blog)) return;
+
+    const revision = await BlogRevision.findOne({
+      blog: blog._id,
+      revision: parseInt(req.params.revision)
+    }).lean();
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    // Only copy fields that differ, so the new revision lists what the restore changed
+    const current = blog.toObject();
+    const changedFields = REVISION_FIELDS.filter(field => comparable(current[field]) !== comparable(revision[field]));
+    changedFields.forEach(field => blog.set(field, revision[field]));
+
+    if (changedFields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The post already matches this revision'
+      });
+    }
+
+    blog.$locals.restoredFrom = revision.revision;
+    await blog.save();
+    await blog.populate('author', 'name email');
+
     res.status(200).json({
       success: true,
+      message: `Blog post restored to revision ${revision.revision}`,
       data: { blog }
     });
   } catch (error) {
@@ -317,4 +1674,118 @@ router.get('/admin/:id', protect, adminOnly, async (req, res, next) => {
   }
 });
 
+// @desc    Create a preview link for a blog post
+// @route   POST /api/blog/admin/:id/previews
+// @access  Private (blog:write)
+router.post('/admin/:id/previews', protect, authorize('blog:write'), [
+  body('expiresInHours').optional().isInt({ min: 1, max: 720 }).withMessage('Expiry must be between 1 and 720 hours'),
+  body('revision').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Revision must be a positive number'),
+  body('note').optional().trim().isLength({ max: 200 }).withMessage('Note cannot be more than 200 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const blog = await Blog.findById(req.params.id).select('_id');
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog post not found'
+      });
+    }
+
+    const revision = req.body.revision ? parseInt(req.body.revision) : null;
+    if (revision !== null && !(await BlogRevision.exists({ blog: blog._id, revision }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const expiresInHours = parseInt(req.body.expiresInHours) || parseInt(process.env.BLOG_PREVIEW_EXPIRE_HOURS) || 72;
+    const { token, hashedToken } = createToken();
+
+    const preview = await BlogPreview.create({
+      blog: blog._id,
+      revision,
+      token: hashedToken,
+      note: req.body.note,
+      createdBy: req.user.id,
+      expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000)
+    });
+
+    // The raw token is only ever returned here
+    res.status(201).json({
+      success: true,
+      message: 'Preview link created successfully',
+      data: {
+        preview,
+        token,
+        url: getPreviewUrl(token)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get the preview links of a blog post
+// @route   GET /api/blog/admin/:id/previews
+// @access  Private (blog:read)
+router.get('/admin/:id/previews', protect, authorize('blog:read'), async (req, res, next) => {
+  try {
+    const previews = await BlogPreview.find({ blog: req.params.id })
+      .populate('createdBy', 'name email')
+      .populate('revokedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { previews }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Revoke a preview link
+// @route   DELETE /api/blog/admin/:id/previews/:previewId
+// @access  Private (blog:write)
+router.delete('/admin/:id/previews/:previewId', protect, authorize('blog:write'), async (req, res, next) => {
+  try {
+    const preview = await BlogPreview.findOne({ _id: req.params.previewId, blog: req.params.id });
+    if (!preview) {
+      return res.status(404).json({
+        success: false,
+        message: 'Preview link not found'
+      });
+    }
+
+    if (preview.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Preview link is already revoked'
+      });
+    }
+
+    preview.revokedAt = new Date();
+    preview.revokedBy = req.user.id;
+    await preview.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Preview link revoked successfully',
+      data: { preview }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 export default router;
@@ -0,0 +1,208 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Category from '../models/Category.js';
+import Blog from '../models/Blog.js';
+import BlogViewStats from '../models/BlogViewStats.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { getCategoriesWithCounts } from '../utils/categoryHelper.js';
+
+const router = express.Router();
+
+// Validation rules shared by create and update; `optional` fields may be left out on update
+const categoryValidation = (optional = false) => {
+  const name = body('name').trim();
+  return [
+    (optional ? name.optional() : name.notEmpty().withMessage('Category name is required'))
+      .isLength({ max: 50 }).withMessage('Name cannot be more than 50 characters'),
+    body('slug').optional().trim()
+      .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).withMessage('Slug can only contain lowercase letters, numbers and hyphens'),
+    body('description').optional().trim()
+      .isLength({ max: 500 }).withMessage('Description cannot be more than 500 characters'),
+    body('color').optional().matches(/^#[0-9a-fA-F]{6}$/).withMessage('Color must be a hex value like #0573A0'),
+    body('sortOrder').optional().isInt().withMessage('Sort order must be a whole number').toInt(),
+    body('seo.metaTitle').optional().isLength({ max: 60 }).withMessage('Meta title cannot be more than 60 characters'),
+    body('seo.metaDescription').optional().isLength({ max: 160 }).withMessage('Meta description cannot be more than 160 characters'),
+    body('seo.keywords').optional().isArray().withMessage('Keywords must be an array')
+  ];
+};
+
+const EDITABLE_FIELDS = ['name', 'slug', 'description', 'color', 'sortOrder', 'seo'];
+
+const pickEditable = (body) => {
+  return Object.fromEntries(
+    EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+  );
+};
+
+// @desc    Get all categories with published post counts
+// @route   GET /api/categories
+// @access  Public
+router.get('/', async (req, res, next) => {
+  try {
+    const categories = await getCategoriesWithCounts();
+
+    res.status(200).json({
+      success: true,
+      data: { categories }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get a category by slug
+// @route   GET /api/categories/:slug
+// @access  Public
+router.get('/:slug', async (req, res, next) => {
+  try {
+    const category = await Category.findOne({ slug: req.params.slug.toLowerCase() });
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const count = await Blog.countDocuments(Blog.publicFilter({ category: category.name }));
+
+    res.status(200).json({
+      success: true,
+      data: { category: { ...category.toObject(), count } }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Create a category
+// @route   POST /api/categories
+// @access  Private (categories:manage)
+router.post('/', protect, authorize('categories:manage'), categoryValidation(), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const category = await Category.create(pickEditable(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: { category }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update a category, moving its posts along when it is renamed
+// @route   PUT /api/categories/:id
+// @access  Private (categories:manage)
+router.put('/:id', protect, authorize('categories:manage'), categoryValidation(true), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const previousName = category.name;
+    category.set(pickEditable(req.body));
+    await category.save();
+
+    // Posts and view stats store the category by name
+    let postsUpdated = 0;
+    if (category.name !== previousName) {
+      const [result] = await Promise.all([
+        Blog.updateMany({ category: previousName }, { category: category.name }),
+        BlogViewStats.updateMany({ category: previousName }, { category: category.name })
+      ]);
+      postsUpdated = result.modifiedCount;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Category updated successfully',
+      data: { category, postsUpdated }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete a category, optionally moving its posts to another one
+// @route   DELETE /api/categories/:id
+// @access  Private (categories:manage)
+router.delete('/:id', protect, authorize('categories:manage'), [
+  body('reassignTo').optional().isMongoId().withMessage('Reassign target must be a valid category id')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    let postsMoved = 0;
+    if (req.body.reassignTo) {
+      const target = await Category.findById(req.body.reassignTo);
+      if (!target || target._id.equals(category._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Reassign target must be a different, existing category'
+        });
+      }
+      const [result] = await Promise.all([
+        Blog.updateMany({ category: category.name }, { category: target.name }),
+        BlogViewStats.updateMany({ category: category.name }, { category: target.name })
+      ]);
+      postsMoved = result.modifiedCount;
+    } else if (await Blog.exists({ category: category.name })) {
+      // Every post needs a category, so they must be moved first
+      return res.status(400).json({
+        success: false,
+        message: 'This category has posts. Provide reassignTo to move them to another category'
+      });
+    }
+
+    await category.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Category deleted successfully',
+      data: { postsMoved }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
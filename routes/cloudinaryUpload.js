@@ -1,7 +1,7 @@
 import express from 'express';
 import multer from 'multer';
 import cloudinary from '../config/cloudinary.js';
-import { protect, adminOnly } from '../middleware/auth.js';
+import { protect, authorize } from '../middleware/auth.js';
 import validateCloudinary from '../middleware/cloudinaryValidation.js';
 
 const router = express.Router();
@@ -36,8 +36,8 @@ const upload = multer({
 
 // @desc    Upload blog image to Cloudinary
 // @route   POST /api/cloudinary/blog-image
-// @access  Private/Admin
-router.post('/blog-image', protect, adminOnly, validateCloudinary, upload.single('image'), async (req, res, next) => {
+// @access  Private (uploads:write)
+router.post('/blog-image', protect, authorize('uploads:write'), validateCloudinary, upload.single('image'), async (req, res, next) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -92,8 +92,8 @@ router.post('/blog-image', protect, adminOnly, validateCloudinary, upload.single
 
 // @desc    Upload featured image for blog
 // @route   POST /api/cloudinary/featured-image
-// @access  Private/Admin
-router.post('/featured-image', protect, adminOnly, validateCloudinary, upload.single('image'), async (req, res, next) => {
+// @access  Private (uploads:write)
+router.post('/featured-image', protect, authorize('uploads:write'), validateCloudinary, upload.single('image'), async (req, res, next) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -148,8 +148,8 @@ router.post('/featured-image', protect, adminOnly, validateCloudinary, upload.si
 
 // @desc    Upload multiple images for blog content
 // @route   POST /api/cloudinary/content-images
-// @access  Private/Admin
-router.post('/content-images', protect, adminOnly, validateCloudinary, upload.array('images', 5), async (req, res, next) => {
+// @access  Private (uploads:write)
+router.post('/content-images', protect, authorize('uploads:write'), validateCloudinary, upload.array('images', 5), async (req, res, next) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -207,8 +207,8 @@ router.post('/content-images', protect, adminOnly, validateCloudinary, upload.ar
 
 // @desc    Delete image from Cloudinary
 // @route   DELETE /api/cloudinary/:publicId
-// @access  Private/Admin
-router.delete('/:publicId', protect, adminOnly, validateCloudinary, async (req, res, next) => {
+// @access  Private (uploads:write)
+router.delete('/:publicId', protect, authorize('uploads:write'), validateCloudinary, async (req, res, next) => {
   try {
     const publicId = req.params.publicId;
     
@@ -238,8 +238,8 @@ router.delete('/:publicId', protect, adminOnly, validateCloudinary, async (req,
 
 // @desc    Get list of images from Cloudinary
 // @route   GET /api/cloudinary/images
-// @access  Private/Admin
-router.get('/images', protect, adminOnly, validateCloudinary, async (req, res, next) => {
+// @access  Private (uploads:read)
+router.get('/images', protect, authorize('uploads:read'), validateCloudinary, async (req, res, next) => {
   try {
     const folder = req.query.folder || 'bahoju';
     const maxResults = parseInt(req.query.limit) || 50;
@@ -0,0 +1,230 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, query, validationResult } from 'express-validator';
+import Comment, { COMMENT_STATUSES } from '../models/Comment.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { escapeRegex } from '../utils/queryHelper.js';
+
+const router = express.Router();
+
+router.use(protect, authorize('comments:moderate'));
+
+// Move comments to a moderation status and refresh the approved counts of their posts
+const moderateComments = async (comments, status, moderatorId) => {
+  const ids = comments.map(comment => comment._id);
+  await Comment.updateMany(
+    { _id: { $in: ids } },
+    { status, moderatedBy: moderatorId, moderatedAt: new Date() }
+  );
+
+  const blogIds = [...new Set(comments.map(comment => String(comment.blog)))];
+  await Promise.all(blogIds.map(blogId => Comment.syncBlogCount(blogId)));
+};
+
+// @desc    Get the moderation queue (pending comments by default)
+// @route   GET /api/comments
+// @access  Private (comments:moderate)
+router.get('/', [
+  query('status').optional().isIn([...COMMENT_STATUSES, 'all']).withMessage('Invalid status'),
+  query('blog').optional().isMongoId().withMessage('Invalid blog')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const status = req.query.status || 'pending';
+    const search = req.query.search;
+
+    // Build query
+    const filter = {};
+    if (status !== 'all') filter.status = status;
+    if (req.query.blog) filter.blog = new mongoose.Types.ObjectId(req.query.blog);
+    if (search) {
+      const pattern = escapeRegex(search);
+      filter.$or = [
+        { content: { $regex: pattern, $options: 'i' } },
+        { authorName: { $regex: pattern, $options: 'i' } },
+        { authorEmail: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [comments, total, statusCounts] = await Promise.all([
+      Comment.find(filter)
+        .populate('blog', 'title slug')
+        .populate('parent', 'authorName content')
+        .populate('moderatedBy', 'name email')
+        .sort({ createdAt: status === 'pending' ? 1 : -1 }) // Oldest pending comments first
+        .skip(skip)
+        .limit(limit),
+      Comment.countDocuments(filter),
+      Comment.aggregate([
+        { $match: req.query.blog ? { blog: filter.blog } : {} },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    // Size of every queue, for the moderation tabs
+    const counts = Object.fromEntries(COMMENT_STATUSES.map(name => [name, 0]));
+    statusCounts.forEach(item => { counts[item._id] = item.count; });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        comments,
+        counts,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Moderate several comments at once
+// @route   POST /api/comments/moderate
+// @access  Private (comments:moderate)
+router.post('/moderate', [
+  body('ids').isArray({ min: 1, max: 100 }).withMessage('Between 1 and 100 comment ids are required'),
+  body('ids.*').isMongoId().withMessage('Invalid comment id'),
+  body('status').isIn(COMMENT_STATUSES).withMessage('Invalid status')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const comments = await Comment.find({ _id: { $in: req.body.ids } }).select('blog');
+    await moderateComments(comments, req.body.status, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: `${comments.length} comment(s) moved to ${req.body.status}`,
+      data: { modified: comments.length }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get single comment with its replies
+// @route   GET /api/comments/:id
+// @access  Private (comments:moderate)
+router.get('/:id', async (req, res, next) => {
+  try {
+    const comment = await Comment.findById(req.params.id)
+      .populate('blog', 'title slug')
+      .populate('parent', 'authorName content status')
+      .populate('moderatedBy', 'name email');
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    const replies = await Comment.find({ parent: comment._id }).sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: { comment, replies }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Handler moving one comment to a moderation status
+const moderateHandler = (status, message) => async (req, res, next) => {
+  try {
+    const comment = await Comment.findById(req.params.id);
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    // Saved through the document so the change is audited
+    comment.status = status;
+    comment.moderatedBy = req.user.id;
+    comment.moderatedAt = new Date();
+    await comment.save();
+    await Comment.syncBlogCount(comment.blog);
+
+    res.status(200).json({
+      success: true,
+      message,
+      data: { comment }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Approve a comment
+// @route   POST /api/comments/:id/approve
+// @access  Private (comments:moderate)
+router.post('/:id/approve', moderateHandler('approved', 'Comment approved'));
+
+// @desc    Reject a comment
+// @route   POST /api/comments/:id/reject
+// @access  Private (comments:moderate)
+router.post('/:id/reject', moderateHandler('rejected', 'Comment rejected'));
+
+// @desc    Mark a comment as spam
+// @route   POST /api/comments/:id/spam
+// @access  Private (comments:moderate)
+router.post('/:id/spam', moderateHandler('spam', 'Comment marked as spam'));
+
+// @desc    Delete a comment and its replies
+// @route   DELETE /api/comments/:id
+// @access  Private (comments:moderate)
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const comment = await Comment.findById(req.params.id);
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    const replyIds = await Comment.findReplyIds(comment._id);
+    if (replyIds.length > 0) {
+      await Comment.deleteMany({ _id: { $in: replyIds } });
+    }
+    await comment.deleteOne();
+    await Comment.syncBlogCount(comment.blog);
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment deleted successfully',
+      data: { deletedReplies: replyIds.length }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,7 +1,7 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import Contact from '../models/Contact.js';
-import { protect, adminOnly } from '../middleware/auth.js';
+import { protect, authorize } from '../middleware/auth.js';
 import { sendContactNotification, sendAutoResponseEmail } from '../utils/emailService.js';
 
 const router = express.Router();
@@ -70,8 +70,8 @@ router.post('/', [
 
 // @desc    Get all contacts (Admin only)
 // @route   GET /api/contact
-// @access  Private/Admin
-router.get('/', protect, adminOnly, async (req, res, next) => {
+// @access  Private (contacts:read)
+router.get('/', protect, authorize('contacts:read'), async (req, res, next) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -121,8 +121,8 @@ router.get('/', protect, adminOnly, async (req, res, next) => {
 
 // @desc    Get single contact (Admin only)
 // @route   GET /api/contact/:id
-// @access  Private/Admin
-router.get('/:id', protect, adminOnly, async (req, res, next) => {
+// @access  Private (contacts:read)
+router.get('/:id', protect, authorize('contacts:read'), async (req, res, next) => {
   try {
     const contact = await Contact.findById(req.params.id)
       .populate('assignedTo', 'name email')
@@ -152,8 +152,8 @@ router.get('/:id', protect, adminOnly, async (req, res, next) => {
 
 // @desc    Update contact status (Admin only)
 // @route   PUT /api/contact/:id
-// @access  Private/Admin
-router.put('/:id', protect, adminOnly, [
+// @access  Private (contacts:write)
+router.put('/:id', protect, authorize('contacts:write'), [
   body('status').optional().isIn(['new', 'in_progress', 'resolved', 'closed']).withMessage('Invalid status'),
   body('priority').optional().isIn(['low', 'medium', 'high', 'urgent']).withMessage('Invalid priority')
 ], async (req, res, next) => {
@@ -204,8 +204,8 @@ router.put('/:id', protect, adminOnly, [
 
 // @desc    Add note to contact (Admin only)
 // @route   POST /api/contact/:id/notes
-// @access  Private/Admin
-router.post('/:id/notes', protect, adminOnly, [
+// @access  Private (contacts:write)
+router.post('/:id/notes', protect, authorize('contacts:write'), [
   body('note').trim().isLength({ min: 1 }).withMessage('Note cannot be empty')
 ], async (req, res, next) => {
   try {
@@ -251,8 +251,8 @@ router.post('/:id/notes', protect, adminOnly, [
 
 // @desc    Delete contact (Admin only)
 // @route   DELETE /api/contact/:id
-// @access  Private/Admin
-router.delete('/:id', protect, adminOnly, async (req, res, next) => {
+// @access  Private (contacts:write)
+router.delete('/:id', protect, authorize('contacts:write'), async (req, res, next) => {
   try {
     const contact = await Contact.findById(req.params.id);
     if (!contact) {
@@ -0,0 +1,106 @@
+import express from 'express';
+import crypto from 'crypto';
+import Blog from '../models/Blog.js';
+import { SITE_NAME, SITE_DESCRIPTION, getSiteUrl, getApiUrl, getPostUrl, getCategoryUrl, getTagUrl } from '../config/site.js';
+import { FEED_FORMATS, buildFeed } from '../utils/feedBuilder.js';
+
+const router = express.Router();
+
+const FEED_ITEM_LIMIT = 20;
+
+// Build a feed handler for the posts matching `getScope(req)`
+const feedHandler = (getScope) => async (req, res, next) => {
+  try {
+    const format = req.params.format;
+    if (!Object.hasOwn(FEED_FORMATS, format)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Feed format not found. Use rss, atom or json'
+      });
+    }
+
+    const { filter, title, siteUrl } = getScope(req);
+
+    const blogs = await Blog.find(Blog.publicFilter(filter))
+      .populate('author', 'name')
+      .select('title slug excerpt contentHtml category tags featuredImage featuredImageCloudinary author publishedAt updatedAt')
+      .sort({ publishedAt: -1 })
+      .limit(FEED_ITEM_LIMIT);
+
+    // Conditional GET: the feed changes when its set of posts or any of them changes
+    const lastModified = blogs.reduce((latest, blog) => {
+      const changed = blog.updatedAt > blog.publishedAt ? blog.updatedAt : blog.publishedAt;
+      return !latest || changed > latest ? changed : latest;
+    }, null);
+
+    const etag = crypto.createHash('sha1')
+      .update(`${format}:${req.originalUrl.split('?')[0]}:`)
+      .update(blogs.map(blog => `${blog.id}:${blog.updatedAt.getTime()}`).join(','))
+      .digest('hex');
+
+    res.set({
+      'Content-Type': FEED_FORMATS[format],
+      'Cache-Control': 'public, max-age=300',
+      ETag: `"${etag}"`
+    });
+    if (lastModified) {
+      res.set('Last-Modified', lastModified.toUTCString());
+    }
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    const feed = buildFeed(format, {
+      title,
+      description: SITE_DESCRIPTION,
+      siteUrl,
+      feedUrl: `${getApiUrl()}${req.originalUrl.split('?')[0]}`,
+      updated: lastModified,
+      items: blogs.map(blog => ({
+        url: getPostUrl(blog.slug),
+        title: blog.title,
+        summary: blog.excerpt,
+        contentHtml: blog.contentHtml,
+        image: blog.featuredImageCloudinary?.url || blog.featuredImage,
+        author: blog.author ? blog.author.name : SITE_NAME,
+        publishedAt: blog.publishedAt,
+        updatedAt: blog.updatedAt,
+        categories: [blog.category, ...blog.tags]
+      }))
+    });
+
+    res.status(200).send(feed);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get feed of all published posts
+// @route   GET /api/feed/:format (rss, atom or json)
+// @access  Public
+router.get('/:format', feedHandler(() => ({
+  filter: {},
+  title: `${SITE_NAME} Blog`,
+  siteUrl: `${getSiteUrl()}/blog`
+})));
+
+// @desc    Get feed of published posts in a category
+// @route   GET /api/feed/category/:category/:format
+// @access  Public
+router.get('/category/:category/:format', feedHandler(req => ({
+  filter: { category: req.params.category },
+  title: `${SITE_NAME} Blog - ${req.params.category}`,
+  siteUrl: getCategoryUrl(req.params.category)
+})));
+
+// @desc    Get feed of published posts with a tag
+// @route   GET /api/feed/tag/:tag/:format
+// @access  Public
+router.get('/tag/:tag/:format', feedHandler(req => ({
+  filter: { tags: req.params.tag.toLowerCase() },
+  title: `${SITE_NAME} Blog - #${req.params.tag.toLowerCase()}`,
+  siteUrl: getTagUrl(req.params.tag.toLowerCase())
+})));
+
+export default router;
@@ -0,0 +1,189 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Admin from '../models/Admin.js';
+import Invitation from '../models/Invitation.js';
+import { ROLES } from '../config/roles.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { createToken, hashToken } from '../utils/tokenHelper.js';
+import { sendInvitationEmail } from '../utils/emailService.js';
+
+const router = express.Router();
+
+// @desc    Check an invitation token before registering
+// @route   GET /api/invitations/verify/:token
+// @access  Public
+router.get('/verify/:token', async (req, res, next) => {
+  try {
+    const invitation = await Invitation.findOne({ token: hashToken(req.params.token) });
+
+    if (!invitation || invitation.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invitation: {
+          email: invitation.email,
+          role: invitation.role,
+          expiresAt: invitation.expiresAt
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Invite a new admin
+// @route   POST /api/invitations
+// @access  Private (admins:manage)
+router.post('/', protect, authorize('admins:manage'), [
+  body('email').isEmail().withMessage('Please provide a valid email'),
+  body('role').isIn(ROLES).withMessage('Invalid role'),
+  body('expiresInHours').optional().isInt({ min: 1, max: 720 }).withMessage('Expiry must be between 1 and 720 hours')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const email = req.body.email.toLowerCase();
+    const { role } = req.body;
+
+    // Check if admin exists
+    const existingAdmin = await Admin.findOne({ email });
+    if (existingAdmin) {
+      return res.status(400).json({
+        success: false,
+        message: 'Admin already exists with this email'
+      });
+    }
+
+    // Revoke any earlier pending invitations for the same email
+    await Invitation.updateMany(
+      { email, acceptedAt: null, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    const expiresInHours = parseInt(req.body.expiresInHours) || parseInt(process.env.INVITE_EXPIRE_HOURS) || 72;
+    const { token, hashedToken } = createToken();
+
+    const invitation = await Invitation.create({
+      email,
+      role,
+      token: hashedToken,
+      invitedBy: req.user.id,
+      expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000)
+    });
+
+    // Send invitation email (async, don't wait for it)
+    sendInvitationEmail(invitation, token, req.user).catch(err => {
+      console.error('Failed to send invitation email:', err);
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation created successfully',
+      data: {
+        invitation,
+        token
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get all invitations
+// @route   GET /api/invitations
+// @access  Private (admins:manage)
+router.get('/', protect, authorize('admins:manage'), async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const status = req.query.status;
+    const now = new Date();
+
+    // Build query
+    let query = {};
+    if (status === 'pending') {
+      query = { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } };
+    } else if (status === 'accepted') {
+      query = { acceptedAt: { $ne: null } };
+    } else if (status === 'revoked') {
+      query = { acceptedAt: null, revokedAt: { $ne: null } };
+    } else if (status === 'expired') {
+      query = { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } };
+    }
+
+    const skip = (page - 1) * limit;
+
+    const invitations = await Invitation.find(query)
+      .populate('invitedBy', 'name email')
+      .populate('acceptedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Invitation.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invitations,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/invitations/:id
+// @access  Private (admins:manage)
+router.delete('/:id', protect, authorize('admins:manage'), async (req, res, next) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Invitation is already ${invitation.status}`
+      });
+    }
+
+    invitation.revokedAt = new Date();
+    await invitation.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked successfully',
+      data: { invitation }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
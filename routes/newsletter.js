@@ -1,7 +1,7 @@
 import express from 'express';
 import Newsletter from '../models/Newsletter.js';
 import NewsletterPost from '../models/NewsletterPost.js';
-import { authenticateAdmin } from '../middleware/auth.js';
+import { protect, authorize } from '../middleware/auth.js';
 import { sendEmail } from '../utils/emailService.js';
 
 const router = express.Router();
@@ -157,8 +157,8 @@ router.post('/unsubscribe', async (req, res) => {
 
 // @route   GET /api/newsletter/subscribers
 // @desc    Get all newsletter subscribers (Admin only)
-// @access  Private
-router.get('/subscribers', authenticateAdmin, async (req, res) => {
+// @access  Private (newsletter:read)
+router.get('/subscribers', protect, authorize('newsletter:read'), async (req, res) => {
   try {
     const { page = 1, limit = 20, status = 'all', search = '' } = req.query;
 
@@ -211,8 +211,8 @@ router.get('/subscribers', authenticateAdmin, async (req, res) => {
 
 // @route   POST /api/newsletter/send
 // @desc    Send newsletter to all subscribers (Admin only)
-// @access  Private
-router.post('/send', authenticateAdmin, async (req, res) => {
+// @access  Private (newsletter:send)
+router.post('/send', protect, authorize('newsletter:send'), async (req, res) => {
   try {
     const { title, subject, content, htmlContent, category = 'general', scheduledAt } = req.body;
 
@@ -229,7 +229,7 @@ router.post('/send', authenticateAdmin, async (req, res) => {
       subject,
       content,
       htmlContent,
-      author: req.admin.id,
+      author: req.user.id,
       category,
       scheduledAt: scheduledAt ? new Date(scheduledAt) : null,
       status: scheduledAt ? 'scheduled' : 'draft'
@@ -304,8 +304,8 @@ router.post('/send', authenticateAdmin, async (req, res) => {
 
 // @route   GET /api/newsletter/posts
 // @desc    Get all newsletter posts (Admin only)
-// @access  Private
-router.get('/posts', authenticateAdmin, async (req, res) => {
+// @access  Private (newsletter:read)
+router.get('/posts', protect, authorize('newsletter:read'), async (req, res) => {
   try {
     const { page = 1, limit = 10, status = 'all' } = req.query;
 
@@ -345,8 +345,8 @@ router.get('/posts', authenticateAdmin, async (req, res) => {
 
 // @route   GET /api/newsletter/stats
 // @desc    Get newsletter statistics (Admin only)
-// @access  Private
-router.get('/stats', authenticateAdmin, async (req, res) => {
+// @access  Private (newsletter:read)
+router.get('/stats', protect, authorize('newsletter:read'), async (req, res) => {
   try {
     const totalSubscribers = await Newsletter.countDocuments();
     const activeSubscribers = await Newsletter.countDocuments({ isActive: true });
@@ -0,0 +1,136 @@
+import express from 'express';
+import Blog from '../models/Blog.js';
+import { getSiteUrl, getApiUrl, getPostUrl, getCategoryUrl } from '../config/site.js';
+import { buildSitemap, buildSitemapIndex, buildBlogMeta } from '../utils/seoHelper.js';
+
+const router = express.Router();
+
+// Posts per sitemap file; above this /sitemap.xml becomes a sitemap index
+const SITEMAP_PAGE_SIZE = 5000;
+
+// Absolute URL of a sitemap served by this router
+const sitemapUrl = (req, file) => `${getApiUrl()}${req.baseUrl}/${file}`;
+
+// Category pages with the time their newest post changed
+const getCategoryUrls = async () => {
+  const categories = await Blog.aggregate([
+    { $match: Blog.publicFilter() },
+    { $group: { _id: '$category', lastmod: { $max: '$updatedAt' } } },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return categories.map(category => ({
+    loc: getCategoryUrl(category._id),
+    lastmod: category.lastmod
+  }));
+};
+
+// One page of published posts, oldest first so page contents stay stable
+const getPostUrls = async (page) => {
+  const blogs = await Blog.find(Blog.publicFilter())
+    .select('slug updatedAt')
+    .sort({ publishedAt: 1, _id: 1 })
+    .skip((page - 1) * SITEMAP_PAGE_SIZE)
+    .limit(SITEMAP_PAGE_SIZE)
+    .lean();
+
+  return blogs.map(blog => ({ loc: getPostUrl(blog.slug), lastmod: blog.updatedAt }));
+};
+
+const sendXml = (res, xml) => {
+  res.set({
+    'Content-Type': 'application/xml; charset=utf-8',
+    'Cache-Control': 'public, max-age=3600'
+  });
+  res.status(200).send(xml);
+};
+
+// @desc    Get the sitemap (or sitemap index when there are many posts)
+// @route   GET /api/seo/sitemap.xml
+// @access  Public
+router.get('/sitemap.xml', async (req, res, next) => {
+  try {
+    const total = await Blog.countDocuments(Blog.publicFilter());
+
+    if (total <= SITEMAP_PAGE_SIZE) {
+      const [categoryUrls, postUrls] = await Promise.all([getCategoryUrls(), getPostUrls(1)]);
+      return sendXml(res, buildSitemap([
+        { loc: `${getSiteUrl()}/blog` },
+        ...categoryUrls,
+        ...postUrls
+      ]));
+    }
+
+    const pages = Math.ceil(total / SITEMAP_PAGE_SIZE);
+    const latest = await Blog.findOne(Blog.publicFilter()).sort({ updatedAt: -1 }).select('updatedAt');
+
+    const sitemaps = [{ loc: sitemapUrl(req, 'sitemap-categories.xml'), lastmod: latest.updatedAt }];
+    for (let page = 1; page <= pages; page++) {
+      sitemaps.push({ loc: sitemapUrl(req, `sitemap-posts-${page}.xml`) });
+    }
+
+    sendXml(res, buildSitemapIndex(sitemaps));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get the sitemap of blog and category pages
+// @route   GET /api/seo/sitemap-categories.xml
+// @access  Public
+router.get('/sitemap-categories.xml', async (req, res, next) => {
+  try {
+    const categoryUrls = await getCategoryUrls();
+    sendXml(res, buildSitemap([{ loc: `${getSiteUrl()}/blog` }, ...categoryUrls]));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get one page of the posts sitemap
+// @route   GET /api/seo/sitemap-posts-:page.xml
+// @access  Public
+router.get('/sitemap-posts-:page.xml', async (req, res, next) => {
+  try {
+    const page = parseInt(req.params.page);
+    const postUrls = page > 0 ? await getPostUrls(page) : [];
+
+    if (postUrls.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sitemap not found'
+      });
+    }
+
+    sendXml(res, buildSitemap(postUrls));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get ready-to-render SEO metadata for a published post
+// @route   GET /api/seo/meta/:slug
+// @access  Public
+router.get('/meta/:slug', async (req, res, next) => {
+  try {
+    const blog = await Blog.findOne(Blog.publicFilter({ slug: req.params.slug }))
+      .populate('author', 'name')
+      .select('title slug excerpt category tags seo featuredImage featuredImageCloudinary author publishedAt updatedAt');
+
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog post not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { seo: buildBlogMeta(blog) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,346 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Series from '../models/Series.js';
+import Blog from '../models/Blog.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { SERIES_POST_FIELDS, populatePublishedPosts } from '../utils/seriesHelper.js';
+
+const router = express.Router();
+
+// Fields of a post shown to admins, who also see unpublished posts
+const ADMIN_POST_FIELDS = 'title slug status publishedAt publishAt';
+
+const seriesValidation = (optional = false) => {
+  const title = body('title').trim();
+  return [
+    (optional ? title.optional() : title.notEmpty().withMessage('Title is required'))
+      .isLength({ max: 200 }).withMessage('Title cannot be more than 200 characters'),
+    body('slug').optional().trim()
+      .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).withMessage('Slug can only contain lowercase letters, numbers and hyphens'),
+    body('description').optional().trim()
+      .isLength({ max: 1000 }).withMessage('Description cannot be more than 1000 characters'),
+    body('featuredImage').optional({ nullable: true }).isString().withMessage('Featured image must be a URL')
+  ];
+};
+
+const findSeries = async (req, res) => {
+  const series = await Series.findById(req.params.id);
+  if (!series) {
+    res.status(404).json({
+      success: false,
+      message: 'Series not found'
+    });
+    return null;
+  }
+  return series;
+};
+
+// Check that posts exist and aren't part of another series, sending a 400 response if not
+const checkPostsAvailable = async (res, postIds, seriesId = null) => {
+  const found = await Blog.countDocuments({ _id: { $in: postIds } });
+  if (found !== postIds.length) {
+    res.status(400).json({
+      success: false,
+      message: 'One or more posts do not exist'
+    });
+    return false;
+  }
+
+  const other = await Series.findOne({ posts: { $in: postIds }, _id: { $ne: seriesId } }).select('title');
+  if (other) {
+    res.status(400).json({
+      success: false,
+      message: `A post already belongs to the series "${other.title}"`
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// Reply with a series as admins see it
+const sendAdminSeries = async (res, series, message, statusCode = 200) => {
+  await series.populate([
+    { path: 'posts', select: ADMIN_POST_FIELDS },
+    { path: 'createdBy', select: 'name email' }
+  ]);
+
+  res.status(statusCode).json({
+    success: true,
+    ...(message && { message }),
+    data: { series }
+  });
+};
+
+// @desc    Get all series with published posts
+// @route   GET /api/series
+// @access  Public
+router.get('/', async (req, res, next) => {
+  try {
+    const series = await Series.find()
+      .populate({ path: 'posts', match: Blog.publicFilter(), select: SERIES_POST_FIELDS })
+      .sort({ createdAt: -1 });
+
+    // Series without any published post yet are not listed
+    const visible = series
+      .filter(item => item.posts.length > 0)
+      .map(item => ({ ...item.toJSON(), postCount: item.posts.length }));
+
+    res.status(200).json({
+      success: true,
+      data: { series: visible }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get all series with every post - Admin only
+// @route   GET /api/series/admin/all
+// @access  Private (blog:read)
+router.get('/admin/all', protect, authorize('blog:read'), async (req, res, next) => {
+  try {
+    const series = await Series.find()
+      .populate('posts', ADMIN_POST_FIELDS)
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { series }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get single series by ID - Admin only
+// @route   GET /api/series/admin/:id
+// @access  Private (blog:read)
+router.get('/admin/:id', protect, authorize('blog:read'), async (req, res, next) => {
+  try {
+    const series = await findSeries(req, res);
+    if (!series) return;
+
+    await sendAdminSeries(res, series);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get a series and its published posts in reading order
+// @route   GET /api/series/:slug
+// @access  Public
+router.get('/:slug', async (req, res, next) => {
+  try {
+    const series = await Series.findOne({ slug: req.params.slug.toLowerCase() });
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    await populatePublishedPosts(series);
+    if (series.posts.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { series }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Create a series
+// @route   POST /api/series
+// @access  Private (blog:write)
+router.post('/', protect, authorize('blog:write'), [
+  ...seriesValidation(),
+  body('posts').optional().isArray().withMessage('Posts must be an array'),
+  body('posts.*').isMongoId().withMessage('Invalid post id')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const posts = [...new Set(req.body.posts || [])];
+    if (posts.length > 0 && !(await checkPostsAvailable(res, posts))) return;
+
+    const series = await Series.create({
+      title: req.body.title,
+      slug: req.body.slug,
+      description: req.body.description,
+      featuredImage: req.body.featuredImage,
+      posts,
+      createdBy: req.user.id
+    });
+
+    await sendAdminSeries(res, series, 'Series created successfully', 201);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update a series
+// @route   PUT /api/series/:id
+// @access  Private (blog:write)
+router.put('/:id', protect, authorize('blog:write'), seriesValidation(true), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const series = await findSeries(req, res);
+    if (!series) return;
+
+    ['title', 'slug', 'description', 'featuredImage'].forEach(field => {
+      if (req.body[field] !== undefined) series[field] = req.body[field];
+    });
+    await series.save();
+
+    await sendAdminSeries(res, series, 'Series updated successfully');
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete a series (its posts are kept)
+// @route   DELETE /api/series/:id
+// @access  Private (blog:write)
+router.delete('/:id', protect, authorize('blog:write'), async (req, res, next) => {
+  try {
+    const series = await findSeries(req, res);
+    if (!series) return;
+
+    await series.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Series deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Add a post to a series, or move it within the series
+// @route   POST /api/series/:id/posts
+// @access  Private (blog:write)
+router.post('/:id/posts', protect, authorize('blog:write'), [
+  body('blogId').isMongoId().withMessage('A valid post id is required'),
+  body('position').optional().isInt({ min: 1 }).withMessage('Position must be a positive number')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const series = await findSeries(req, res);
+    if (!series) return;
+
+    if (!(await checkPostsAvailable(res, [req.body.blogId], series._id))) return;
+
+    // Positions are 1-based; without one the post is added at the end
+    const posts = series.posts.filter(post => String(post) !== req.body.blogId);
+    const index = req.body.position
+      ? Math.min(parseInt(req.body.position) - 1, posts.length)
+      : posts.length;
+    posts.splice(index, 0, req.body.blogId);
+
+    series.posts = posts;
+    await series.save();
+
+    await sendAdminSeries(res, series, 'Post added to series');
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Reorder the posts of a series
+// @route   PUT /api/series/:id/posts
+// @access  Private (blog:write)
+router.put('/:id/posts', protect, authorize('blog:write'), [
+  body('posts').isArray().withMessage('Posts must be an array'),
+  body('posts.*').isMongoId().withMessage('Invalid post id')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const series = await findSeries(req, res);
+    if (!series) return;
+
+    // The new order must contain exactly the posts already in the series
+    const current = series.posts.map(String).sort();
+    const requested = [...new Set(req.body.posts)].sort();
+    if (req.body.posts.length !== current.length || requested.join() !== current.join()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Posts must list every post of the series exactly once. Add or remove posts separately'
+      });
+    }
+
+    series.posts = req.body.posts;
+    await series.save();
+
+    await sendAdminSeries(res, series, 'Series reordered successfully');
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Remove a post from a series
+// @route   DELETE /api/series/:id/posts/:blogId
+// @access  Private (blog:write)
+router.delete('/:id/posts/:blogId', protect, authorize('blog:write'), async (req, res, next) => {
+  try {
+    const series = await findSeries(req, res);
+    if (!series) return;
+
+    const posts = series.posts.filter(post => String(post) !== req.params.blogId);
+    if (posts.length === series.posts.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post is not part of this series'
+      });
+    }
+
+    series.posts = posts;
+    await series.save();
+
+    await sendAdminSeries(res, series, 'Post removed from series');
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,7 +1,7 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import Stats from '../models/Stats.js';
-import { protect, adminOnly } from '../middleware/auth.js';
+import { protect, authorize } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -37,8 +37,8 @@ router.get('/', async (req, res, next) => {
 
 // @desc    Update website statistics - Admin only
 // @route   PUT /api/stats
-// @access  Private/Admin
-router.put('/', protect, adminOnly, [
+// @access  Private (stats:write)
+router.put('/', protect, authorize('stats:write'), [
   body('clients').optional().isInt({ min: 0 }).withMessage('Clients must be a positive number'),
   body('projects').optional().isInt({ min: 0 }).withMessage('Projects must be a positive number'),
   body('supportHours').optional().isInt({ min: 0 }).withMessage('Support hours must be a positive number'),
@@ -100,8 +100,8 @@ router.put('/', protect, adminOnly, [
 
 // @desc    Get stats history - Admin only
 // @route   GET /api/stats/history
-// @access  Private/Admin
-router.get('/history', protect, adminOnly, async (req, res, next) => {
+// @access  Private (stats:read)
+router.get('/history', protect, authorize('stats:read'), async (req, res, next) => {
   try {
     // This would require a separate StatsHistory model to track changes over time
     // For now, just return the current stats
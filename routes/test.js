@@ -1,10 +1,11 @@
 import express from 'express';
+import { protect, authorize } from '../middleware/auth.js';
 import { sendEmail, testEmailConfiguration } from '../utils/emailService.js';
 
 const router = express.Router();
 
-// Test email configuration
-router.get('/email-config', async (req, res) => {
+// Test email configuration (system:manage)
+router.get('/email-config', protect, authorize('system:manage'), async (req, res) => {
   try {
     const isConfigured = await testEmailConfiguration();
     
@@ -30,8 +31,8 @@ router.get('/email-config', async (req, res) => {
   }
 });
 
-// Test sending an email
-router.post('/send-test-email', async (req, res) => {
+// Test sending an email (system:manage)
+router.post('/send-test-email', protect, authorize('system:manage'), async (req, res) => {
   try {
     const { to } = req.body;
     
@@ -2,7 +2,7 @@ import express from 'express';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
-import { protect, adminOnly } from '../middleware/auth.js';
+import { protect, authorize } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -71,8 +71,8 @@ const upload = multer({
 
 // @desc    Upload single file
 // @route   POST /api/upload/single
-// @access  Private/Admin
-router.post('/single', protect, adminOnly, upload.single('file'), async (req, res, next) => {
+// @access  Private (uploads:write)
+router.post('/single', protect, authorize('uploads:write'), upload.single('file'), async (req, res, next) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -104,8 +104,8 @@ router.post('/single', protect, adminOnly, upload.single('file'), async (req, re
 
 // @desc    Upload multiple files
 // @route   POST /api/upload/multiple
-// @access  Private/Admin
-router.post('/multiple', protect, adminOnly, upload.array('files', 5), async (req, res, next) => {
+// @access  Private (uploads:write)
+router.post('/multiple', protect, authorize('uploads:write'), upload.array('files', 5), async (req, res, next) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -135,8 +135,8 @@ router.post('/multiple', protect, adminOnly, upload.array('files', 5), async (re
 
 // @desc    Delete uploaded file
 // @route   DELETE /api/upload/:filename
-// @access  Private/Admin
-router.delete('/:filename', protect, adminOnly, async (req, res, next) => {
+// @access  Private (uploads:write)
+router.delete('/:filename', protect, authorize('uploads:write'), async (req, res, next) => {
   try {
     const filename = req.params.filename;
     
@@ -177,8 +177,8 @@ router.delete('/:filename', protect, adminOnly, async (req, res, next) => {
 
 // @desc    Get list of uploaded files
 // @route   GET /api/upload/files
-// @access  Private/Admin
-router.get('/files', protect, adminOnly, async (req, res, next) => {
+// @access  Private (uploads:read)
+router.get('/files', protect, authorize('uploads:read'), async (req, res, next) => {
   try {
     const type = req.query.type; // 'images', 'documents', 'others', or 'all'
     const files = [];
@@ -1,31 +1,52 @@
+// Load environment variables before any other module reads them at import time
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import dotenv from 'dotenv';
 import helmet from 'helmet';
 import compression from 'compression';
 import morgan from 'morgan';
 import rateLimit from 'express-rate-limit';
 import connectDB from './config/database.js';
 import errorHandler from './middleware/errorHandler.js';
+import { auditTrail } from './middleware/audit.js';
+import { startBlogScheduler } from './utils/blogScheduler.js';
+import Category from './models/Category.js';
+import Blog from './models/Blog.js';
 
 // Import routes
 import authRoutes from './routes/auth.js';
+import invitationRoutes from './routes/invitations.js';
+import adminRoutes from './routes/admins.js';
+import apiKeyRoutes from './routes/apiKeys.js';
+import auditLogRoutes from './routes/auditLogs.js';
 import contactRoutes from './routes/contact.js';
 import blogRoutes from './routes/blog.js';
+import categoryRoutes from './routes/categories.js';
+import commentRoutes from './routes/comments.js';
+import seriesRoutes from './routes/series.js';
+import feedRoutes from './routes/feed.js';
+import seoRoutes from './routes/seo.js';
 import uploadRoutes from './routes/upload.js';
 import cloudinaryUploadRoutes from './routes/cloudinaryUpload.js';
 import statsRoutes from './routes/stats.js';
 import newsletterRoutes from './routes/newsletter.js';
 import testRoutes from './routes/test.js';
 
-// Load environment variables
-dotenv.config();
-
 // Connect to database
 connectDB();
 
 const app = express();
 
+// Trust the reverse proxy in front of the server (e.g. Render) so req.ip is the client's address.
+// TRUST_PROXY takes a hop count, true/false, or a list of proxy addresses; off by default.
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value);
+  return value;
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Security middleware
 app.use(helmet());
 
@@ -75,6 +96,9 @@ if (process.env.NODE_ENV === 'development') {
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
+// Audit context for admin changes
+app.use(auditTrail);
+
 // Static files
 app.use('/uploads', express.static('uploads'));
 
@@ -90,8 +114,17 @@ app.get('/api/health', (req, res) => {
 
 // API routes
 app.use('/api/auth', authRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/admins', adminRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/audit-logs', auditLogRoutes);
 app.use('/api/contact', contactRoutes);
 app.use('/api/blog', blogRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/comments', commentRoutes);
+app.use('/api/series', seriesRoutes);
+app.use('/api/feed', feedRoutes);
+app.use('/api/seo', seoRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/cloudinary', cloudinaryUploadRoutes);
 app.use('/api/stats', statsRoutes);
@@ -115,4 +148,24 @@ app.listen(PORT, () => {
   console.log(`🚀 Bahoju Tech API Server running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV}`);
   console.log(`🌐 Frontend URL: ${process.env.FRONTEND_URL}`);
+  if (!process.env.VISITOR_COOKIE_SECRET) {
+    console.warn('⚠️  VISITOR_COOKIE_SECRET is not set; visitor cookies are signed with a key derived from JWT_SECRET');
+  }
+
+  // Publish and archive scheduled blog posts
+  startBlogScheduler();
+
+  // Create the starter blog categories on a fresh database
+  Category.ensureDefaults().catch(error => {
+    console.error('Failed to create default categories:', error.message);
+  });
+
+  // Render content of posts saved before it was rendered on save
+  Blog.renderMissingContent()
+    .then(count => {
+      if (count > 0) console.log(`📝 Rendered content of ${count} existing blog post(s)`);
+    })
+    .catch(error => {
+      console.error('Failed to render existing blog content:', error.message);
+    });
 });
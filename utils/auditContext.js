@@ -0,0 +1,80 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import AuditLog from '../models/AuditLog.js';
+
+// Request-scoped context so model hooks can tell who is making a change
+const auditStorage = new AsyncLocalStorage();
+
+/**
+ * Create the audit context for a request
+ * @param {Object} req - Express request
+ * @returns {Object} - Context with `req` and the number of entries written so far
+ */
+export const createAuditContext = (req) => {
+  return { req, entries: 0 };
+};
+
+/**
+ * Run a request handler chain inside an audit context
+ * @param {Object} context - Context from createAuditContext
+ * @param {Function} callback - Function to run inside the context
+ * @returns {*} - Whatever the callback returns
+ */
+export const runWithAuditContext = (context, callback) => {
+  return auditStorage.run(context, callback);
+};
+
+/**
+ * Get the current audit context, if the caller is an authenticated request
+ * @param {Object} context - Context to check (defaults to the one of the running request)
+ * @returns {Object|null} - The context, or null outside authenticated requests
+ */
+export const getAuditContext = (context = auditStorage.getStore()) => {
+  if (!context || !context.req.user) {
+    return null;
+  }
+  return context;
+};
+
+/**
+ * Get the principal making the current request, if any
+ * @returns {Object|null} - req.user of the running request
+ */
+export const getCurrentActor = () => {
+  const context = getAuditContext();
+  return context ? context.req.user : null;
+};
+
+/**
+ * Write an audit entry for the current request. Failures are logged, never thrown,
+ * so auditing can't break the change being audited.
+ * @param {Object} entry - action, resourceType, resourceId, changes, metadata
+ * @param {Object} requestContext - Context to record against (defaults to the running request)
+ * @returns {Promise<void>}
+ */
+export const recordAudit = async (entry, requestContext) => {
+  const context = getAuditContext(requestContext);
+  if (!context) {
+    return;
+  }
+
+  const { req } = context;
+  context.entries += 1;
+
+  try {
+    await AuditLog.create({
+      actor: req.user.id,
+      actorName: req.user.name,
+      actorEmail: req.user.email,
+      actorType: req.user.type,
+      apiKey: req.user.apiKeyId,
+      method: req.method,
+      path: req.originalUrl,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      ...entry,
+      resourceId: entry.resourceId ? String(entry.resourceId) : null
+    });
+  } catch (error) {
+    console.error('Failed to write audit log:', error);
+  }
+};
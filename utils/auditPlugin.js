@@ -0,0 +1,190 @@
+import mongoose from 'mongoose';
+import { getAuditContext, recordAudit } from './auditContext.js';
+
+// Fields never copied into the audit log, whatever the model
+const SENSITIVE_FIELDS = [
+  'password',
+  'passwordHistory',
+  'passwordResetToken',
+  'passwordResetExpires',
+  'twoFactor',
+  'key',
+  'token',
+  'refreshToken',
+  'previousTokens'
+];
+
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Long values (blog content, messages) are cut down to keep entries small
+const MAX_VALUE_LENGTH = 500;
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && value.constructor === Object;
+};
+
+// Flatten nested objects into dot paths, leaving arrays, dates and ids as values
+const flatten = (object, prefix = '', output = {}) => {
+  for (const [key, value] of Object.entries(object || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) {
+      flatten(value, path, output);
+    } else {
+      output[path] = value;
+    }
+  }
+  return output;
+};
+
+// Convert ids and dates to plain JSON values and shorten long strings
+const normalize = (value) => {
+  if (value === undefined) {
+    return null;
+  }
+  const json = JSON.stringify(value);
+  if (json.length > MAX_VALUE_LENGTH) {
+    return typeof value === 'string'
+      ? `${value.slice(0, MAX_VALUE_LENGTH)}…`
+      : `${json.slice(0, MAX_VALUE_LENGTH)}…`;
+  }
+  return JSON.parse(json);
+};
+
+/**
+ * Build the list of changed fields between two versions of a document
+ * @param {Object|null} before - Document before the change (null when created)
+ * @param {Object|null} after - Document after the change (null when deleted)
+ * @param {string[]} exclude - Extra top-level fields to leave out
+ * @returns {Array<{field: string, before: *, after: *}>} - Changed fields
+ */
+export const diffDocuments = (before, after, exclude = []) => {
+  const hidden = [...SENSITIVE_FIELDS, ...IGNORED_FIELDS, ...exclude];
+  const beforeFields = flatten(before);
+  const afterFields = flatten(after);
+  const fields = new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)]);
+  const changes = [];
+
+  for (const field of fields) {
+    if (hidden.includes(field.split('.')[0])) {
+      continue;
+    }
+    const previous = normalize(beforeFields[field]);
+    const next = normalize(afterFields[field]);
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes.push({ field, before: previous, after: next });
+    }
+  }
+
+  return changes;
+};
+
+// Strip sensitive fields from an update before it is stored as metadata
+const sanitizeUpdate = (update = {}) => {
+  const sanitized = {};
+  for (const [key, value] of Object.entries(update)) {
+    if (key.startsWith('$') && isPlainObject(value)) {
+      sanitized[key] = sanitizeUpdate(value);
+    } else if (!SENSITIVE_FIELDS.includes(key.split('.')[0])) {
+      sanitized[key] = normalize(value);
+    }
+  }
+  return sanitized;
+};
+
+const toObject = (doc) => {
+  if (!doc) return null;
+  return doc instanceof mongoose.Document ? doc.toObject({ depopulate: true }) : doc;
+};
+
+/**
+ * Mongoose plugin recording every change made by an authenticated request in the audit log
+ * @param {mongoose.Schema} schema - Schema to audit
+ * @param {Object} options - Plugin options
+ * @param {string} options.resourceType - Name used for the resource in audit entries
+ * @param {string[]} options.exclude - Extra fields to keep out of the diff
+ */
+const auditPlugin = (schema, { resourceType, exclude = [] }) => {
+  const record = (action, resourceId, before, after) => {
+    const changes = diffDocuments(before, after, exclude);
+    // Saves that changed nothing worth recording (e.g. only timestamps) are skipped
+    if (action === 'update' && changes.length === 0) {
+      return;
+    }
+    recordAudit({ action, resourceType, resourceId, changes });
+  };
+
+  // Documents created or updated with save()/create()
+  schema.pre('save', async function() {
+    if (!getAuditContext()) return;
+
+    this.$locals.auditAction = this.isNew ? 'create' : 'update';
+    this.$locals.auditBefore = this.isNew
+      ? null
+      : await this.constructor.findById(this._id).lean();
+  });
+
+  schema.post('save', function(doc) {
+    if (!getAuditContext() || !doc.$locals.auditAction) return;
+
+    record(doc.$locals.auditAction, doc._id, doc.$locals.auditBefore, toObject(doc));
+    delete doc.$locals.auditAction;
+    delete doc.$locals.auditBefore;
+  });
+
+  // findOneAndUpdate / findByIdAndUpdate
+  schema.pre('findOneAndUpdate', async function() {
+    if (!getAuditContext()) return;
+    this._auditBefore = await this.model.findOne(this.getFilter()).lean();
+  });
+
+  schema.post('findOneAndUpdate', async function() {
+    if (!getAuditContext() || !this._auditBefore) return;
+    const after = await this.model.findById(this._auditBefore._id).lean();
+    record('update', this._auditBefore._id, this._auditBefore, after);
+  });
+
+  // findOneAndDelete / findByIdAndDelete
+  schema.pre('findOneAndDelete', async function() {
+    if (!getAuditContext()) return;
+    this._auditBefore = await this.model.findOne(this.getFilter()).lean();
+  });
+
+  schema.post('findOneAndDelete', function() {
+    if (!getAuditContext() || !this._auditBefore) return;
+    record('delete', this._auditBefore._id, this._auditBefore, null);
+  });
+
+  // doc.deleteOne()
+  schema.post('deleteOne', { document: true, query: false }, function(doc) {
+    if (!getAuditContext()) return;
+    record('delete', doc._id, toObject(doc), null);
+  });
+
+  // Bulk changes record what was asked for rather than a per-document diff
+  schema.post('updateMany', function(result) {
+    if (!getAuditContext()) return;
+    recordAudit({
+      action: 'bulk_update',
+      resourceType,
+      metadata: {
+        filter: normalize(this.getFilter()),
+        update: sanitizeUpdate(this.getUpdate()),
+        modifiedCount: result.modifiedCount
+      }
+    });
+  });
+
+  schema.post('deleteMany', function(result) {
+    if (!getAuditContext()) return;
+    recordAudit({
+      action: 'bulk_delete',
+      resourceType,
+      metadata: {
+        filter: normalize(this.getFilter()),
+        deletedCount: result.deletedCount
+      }
+    });
+  });
+};
+
+export default auditPlugin;
@@ -0,0 +1,58 @@
+import Blog from '../models/Blog.js';
+
+let timer = null;
+let running = false;
+
+/**
+ * Publish scheduled posts and archive expired ones. The schedule lives in the
+ * database, so anything missed while the server was down is caught up on the next run.
+ * @returns {Promise<{published: number, archived: number}>} - Number of posts changed
+ */
+export const runBlogSchedule = async () => {
+  // Skip if the previous run is still going
+  if (running) {
+    return { published: 0, archived: 0 };
+  }
+
+  running = true;
+  try {
+    const published = await Blog.publishDue();
+    const archived = await Blog.archiveDue();
+
+    if (published > 0) console.log(`📅 Published ${published} scheduled blog post(s)`);
+    if (archived > 0) console.log(`📦 Archived ${archived} blog post(s)`);
+
+    return { published, archived };
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start checking the blog schedule in the background
+ * @param {number} intervalMs - Time between checks
+ */
+export const startBlogScheduler = (intervalMs = parseInt(process.env.BLOG_SCHEDULER_INTERVAL_MS) || 60 * 1000) => {
+  if (timer) {
+    return;
+  }
+
+  const tick = () => {
+    runBlogSchedule().catch(error => {
+      console.error('Blog scheduler failed:', error);
+    });
+  };
+
+  tick();
+  timer = setInterval(tick, intervalMs);
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+};
+
+/**
+ * Stop the background scheduler
+ */
+export const stopBlogScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
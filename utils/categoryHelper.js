@@ -0,0 +1,24 @@
+import Blog from '../models/Blog.js';
+import Category from '../models/Category.js';
+
+/**
+ * List categories in display order with the number of published posts in each
+ * @param {Object} options - Options
+ * @param {boolean} options.includeEmpty - Include categories without published posts
+ * @returns {Promise<Array<Object>>} - Categories with a `count` field
+ */
+export const getCategoriesWithCounts = async ({ includeEmpty = true } = {}) => {
+  const [categories, counts] = await Promise.all([
+    Category.find().sort({ sortOrder: 1, name: 1 }).lean(),
+    Blog.aggregate([
+      { $match: Blog.publicFilter() },
+      { $group: { _id: '$category', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const countByName = new Map(counts.map(item => [item._id, item.count]));
+
+  return categories
+    .map(category => ({ ...category, count: countByName.get(category.name) || 0 }))
+    .filter(category => includeEmpty || category.count > 0);
+};
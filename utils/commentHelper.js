@@ -0,0 +1,32 @@
+// Fields of a comment shown to readers; email, IP address and moderation details stay private
+const PUBLIC_FIELDS = ['_id', 'parent', 'depth', 'authorName', 'content', 'createdAt'];
+
+/**
+ * Strip a comment down to the fields readers may see
+ * @param {Object} comment - Comment document or plain object
+ * @returns {Object} - Public comment
+ */
+export const toPublicComment = (comment) => {
+  return Object.fromEntries(PUBLIC_FIELDS.map(field => [field, comment[field] ?? null]));
+};
+
+/**
+ * Arrange comments into threads. Replies whose parent isn't in the list (e.g. it was
+ * rejected) are left out along with their own replies.
+ * @param {Array<Object>} comments - Comments of one post; threads and replies keep their order
+ * @returns {Array<Object>} - Top-level comments, each with nested `replies`
+ */
+export const buildCommentTree = (comments) => {
+  const nodes = new Map(comments.map(comment => [String(comment._id), { ...toPublicComment(comment), replies: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    if (!node.parent) {
+      roots.push(node);
+    } else if (nodes.has(String(node.parent))) {
+      nodes.get(String(node.parent)).replies.push(node);
+    }
+  }
+
+  return roots;
+};
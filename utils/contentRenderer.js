@@ -0,0 +1,105 @@
+import { marked } from 'marked';
+import sanitizeHtml from 'sanitize-html';
+
+export const CONTENT_FORMATS = ['html', 'markdown'];
+
+const WORDS_PER_MINUTE = 200;
+
+// Only these tags and attributes survive sanitizing; everything else (scripts, event
+// handlers, inline styles, javascript: URLs) is removed.
+const SANITIZE_OPTIONS = {
+  allowedTags: [...sanitizeHtml.defaults.allowedTags, 'img', 'iframe'],
+  allowedAttributes: {
+    a: ['href', 'name', 'target', 'rel', 'title'],
+    img: ['src', 'alt', 'title', 'width', 'height', 'loading'],
+    iframe: ['src', 'width', 'height', 'title', 'allow', 'allowfullscreen', 'frameborder'],
+    code: ['class'],
+    th: ['colspan', 'rowspan', 'align'],
+    td: ['colspan', 'rowspan', 'align'],
+    ol: ['start'],
+    '*': ['id']
+  },
+  allowedClasses: {
+    code: [/^language-[\w-]+$/]
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: {
+    img: ['http', 'https']
+  },
+  // Embedded videos only
+  allowedIframeHostnames: ['www.youtube.com', 'www.youtube-nocookie.com', 'player.vimeo.com'],
+  transformTags: {
+    // Links opening a new tab can't reach back into this page
+    a: (tagName, attribs) => {
+      if (attribs.target === '_blank') {
+        return { tagName, attribs: { ...attribs, rel: 'noopener noreferrer' } };
+      }
+      return { tagName, attribs };
+    }
+  }
+};
+
+const TEXT_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'",
+  '&nbsp;': ' '
+};
+
+// Block-level closing tags become line breaks so words don't run together in plain text
+const BLOCK_BOUNDARY = /<\/(p|div|h[1-6]|li|blockquote|pre|tr|td|th|figcaption|section|article)\s*>|<br\s*\/?>/gi;
+
+/**
+ * Sanitize HTML against the content allowlist
+ * @param {string} html - Untrusted HTML
+ * @returns {string} - Safe HTML
+ */
+export const sanitizeContent = (html = '') => {
+  return sanitizeHtml(html, SANITIZE_OPTIONS);
+};
+
+/**
+ * Strip markup from HTML, keeping readable text
+ * @param {string} html - HTML to convert
+ * @returns {string} - Plain text
+ */
+export const htmlToText = (html = '') => {
+  const text = sanitizeHtml(String(html).replace(BLOCK_BOUNDARY, '$&\n'), {
+    allowedTags: [],
+    allowedAttributes: {}
+  });
+
+  return text
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, entity => TEXT_ENTITIES[entity])
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+};
+
+/**
+ * Render post content to safe HTML and plain text
+ * @param {string} content - Content as authored
+ * @param {string} format - `markdown` or `html`
+ * @returns {{html: string, text: string}} - Sanitized HTML and its plain text
+ */
+export const renderContent = (content = '', format = 'html') => {
+  const rawHtml = format === 'markdown'
+    ? marked.parse(content, { gfm: true })
+    : content;
+
+  const html = sanitizeContent(rawHtml);
+
+  return { html, text: htmlToText(html) };
+};
+
+/**
+ * Estimate reading time of plain text
+ * @param {string} text - Plain text
+ * @returns {number} - Minutes, at least 1
+ */
+export const calculateReadTime = (text = '') => {
+  const wordCount = text.split(/\s+/).filter(Boolean).length;
+  return Math.max(1, Math.ceil(wordCount / WORDS_PER_MINUTE));
+};
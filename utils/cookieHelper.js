@@ -0,0 +1,87 @@
+// Helpers for the httpOnly auth cookies used by the browser admin panel,
+// and the anonymous visitor cookie used by public blog features
+
+export const ACCESS_TOKEN_COOKIE = 'accessToken';
+export const REFRESH_TOKEN_COOKIE = 'refreshToken';
+export const VISITOR_COOKIE = 'visitorId';
+
+const VISITOR_COOKIE_MAX_AGE = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a Cookie header into an object
+ * @param {string} header - Raw Cookie header
+ * @returns {Object} - Cookie names mapped to decoded values
+ */
+export const parseCookies = (header = '') => {
+  return header.split(';').reduce((cookies, pair) => {
+    const index = pair.indexOf('=');
+    if (index === -1) {
+      return cookies;
+    }
+
+    const name = pair.slice(0, index).trim();
+    const value = pair.slice(index + 1).trim();
+    if (name && !(name in cookies)) {
+      try {
+        cookies[name] = decodeURIComponent(value);
+      } catch (error) {
+        cookies[name] = value;
+      }
+    }
+    return cookies;
+  }, {});
+};
+
+const getCookieOptions = () => {
+  const isProduction = process.env.NODE_ENV === 'production';
+  return {
+    httpOnly: true,
+    // The admin panel is served from a different site than the API in production
+    secure: isProduction,
+    sameSite: process.env.AUTH_COOKIE_SAMESITE || (isProduction ? 'none' : 'lax')
+  };
+};
+
+/**
+ * Set the access and refresh token cookies
+ * @param {Object} res - Express response
+ * @param {Object} tokens - Tokens returned by the session helper
+ */
+export const setAuthCookies = (res, { token, refreshToken, refreshTokenExpiresAt }) => {
+  const options = getCookieOptions();
+
+  if (token) {
+    res.cookie(ACCESS_TOKEN_COOKIE, token, { ...options, path: '/' });
+  }
+  if (refreshToken) {
+    // The refresh token is only ever sent to the auth routes
+    res.cookie(REFRESH_TOKEN_COOKIE, refreshToken, {
+      ...options,
+      path: '/api/auth',
+      expires: refreshTokenExpiresAt
+    });
+  }
+};
+
+/**
+ * Clear the access and refresh token cookies
+ * @param {Object} res - Express response
+ */
+export const clearAuthCookies = (res) => {
+  const options = getCookieOptions();
+  res.clearCookie(ACCESS_TOKEN_COOKIE, { ...options, path: '/' });
+  res.clearCookie(REFRESH_TOKEN_COOKIE, { ...options, path: '/api/auth' });
+};
+
+/**
+ * Set the signed anonymous visitor cookie
+ * @param {Object} res - Express response
+ * @param {string} signedVisitorId - Visitor id signed with signValue
+ */
+export const setVisitorCookie = (res, signedVisitorId) => {
+  res.cookie(VISITOR_COOKIE, signedVisitorId, {
+    ...getCookieOptions(),
+    path: '/',
+    maxAge: VISITOR_COOKIE_MAX_AGE
+  });
+};
@@ -0,0 +1,39 @@
+// Values starting with these characters are run as formulas by spreadsheet apps
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * Escape a single value for a CSV cell
+ * @param {*} value - Cell value (objects are written as JSON)
+ * @returns {string} - Escaped cell
+ */
+export const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date
+    ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  if (FORMULA_PREFIXES.includes(text[0])) {
+    text = `'${text}`;
+  }
+
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document
+ * @param {Array<{header: string, value: Function}>} columns - Column headers and value getters
+ * @param {Array<Object>} rows - Rows to write
+ * @returns {string} - CSV text
+ */
+export const toCsv = (columns, rows) => {
+  const lines = [columns.map(column => escapeCsvValue(column.header)).join(',')];
+
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCsvValue(column.value(row))).join(','));
+  }
+
+  return lines.join('\r\n');
+};
@@ -1,4 +1,5 @@
 import nodemailer from 'nodemailer';
+import { escapeHtml } from './htmlHelper.js';
 
 // Create reusable transporter object using SMTP transport
 const createTransporter = () => {
@@ -243,6 +244,232 @@ export const sendPasswordResetEmail = async (userData, resetToken) => {
   }
 };
 
+// Send admin invitation email
+export const sendInvitationEmail = async (invitationData, inviteToken, inviterData) => {
+  try {
+    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+      console.log('Email service not configured. Skipping invitation email.');
+      return;
+    }
+
+    const transporter = createTransporter();
+    const inviteUrl = `${process.env.FRONTEND_URL}/admin/register?token=${inviteToken}`;
+
+    const mailOptions = {
+      from: `"Bahoju Tech" <${process.env.EMAIL_USER}>`,
+      to: invitationData.email,
+      subject: 'You have been invited to the Bahoju Tech admin panel',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #0573A0; border-bottom: 2px solid #0573A0; padding-bottom: 10px;">
+            Admin Invitation
+          </h2>
+          
+          <div style="padding: 20px; background-color: #f8f9fa; border-radius: 8px; margin: 20px 0;">
+            <p style="color: #333; line-height: 1.6;">Hello,</p>
+            <p style="color: #555; line-height: 1.6;">
+              ${escapeHtml(inviterData.name)} has invited you to join the Bahoju Tech admin panel as
+              <strong>${escapeHtml(invitationData.role)}</strong>. Click the button below to create your account:
+            </p>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${inviteUrl}" 
+                 style="background-color: #0573A0; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+                Accept Invitation
+              </a>
+            </div>
+            
+            <p style="color: #666; font-size: 14px; line-height: 1.6;">
+              This invitation can only be used once and expires on ${new Date(invitationData.expiresAt).toLocaleString()}.
+              If you weren't expecting it, you can ignore this email.
+            </p>
+          </div>
+          
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #dee2e6;">
+          <p style="color: #6c757d; font-size: 12px; text-align: center;">
+            If you're having trouble clicking the button, copy and paste this URL into your browser:<br>
+            <span style="word-break: break-all;">${inviteUrl}</span>
+          </p>
+        </div>
+      `
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Invitation email sent:', info.messageId);
+    return info;
+  } catch (error) {
+    console.error('Error sending invitation email:', error);
+    throw error;
+  }
+};
+
+// Send account locked notification to an admin
+export const sendAccountLockedEmail = async (userData, lockUntil, ipAddress) => {
+  try {
+    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+      console.log('Email service not configured. Skipping account locked email.');
+      return;
+    }
+
+    const transporter = createTransporter();
+    const resetUrl = `${process.env.FRONTEND_URL}/forgot-password`;
+
+    const mailOptions = {
+      from: `"Bahoju Tech" <${process.env.EMAIL_USER}>`,
+      to: userData.email,
+      subject: 'Your Bahoju Tech admin account has been locked',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #0573A0; border-bottom: 2px solid #0573A0; padding-bottom: 10px;">
+            Account Temporarily Locked
+          </h2>
+          
+          <div style="padding: 20px; background-color: #f8f9fa; border-radius: 8px; margin: 20px 0;">
+            <p style="color: #333; line-height: 1.6;">Hello ${escapeHtml(userData.name)},</p>
+            <p style="color: #555; line-height: 1.6;">
+              We locked your Bahoju Tech admin account after several failed login attempts.
+              You can try again after <strong>${new Date(lockUntil).toLocaleString()}</strong>.
+            </p>
+            <p style="color: #555; line-height: 1.6;">
+              <strong>Last attempt from IP:</strong> ${escapeHtml(ipAddress || 'Unknown')}
+            </p>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${resetUrl}" 
+                 style="background-color: #0573A0; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+                Reset Password
+              </a>
+            </div>
+            
+            <p style="color: #666; font-size: 14px; line-height: 1.6;">
+              If these attempts weren't you, we recommend resetting your password once the lock expires.
+            </p>
+          </div>
+        </div>
+      `
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Account locked email sent:', info.messageId);
+    return info;
+  } catch (error) {
+    console.error('Error sending account locked email:', error);
+    throw error;
+  }
+};
+
+// Send review outcome (approved or sent back) to a blog post's author
+export const sendBlogReviewEmail = async (blogData, authorData, { approved, reviewerName, comment }) => {
+  try {
+    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+      console.log('Email service not configured. Skipping blog review email.');
+      return;
+    }
+
+    const transporter = createTransporter();
+    const editUrl = `${process.env.FRONTEND_URL}/admin/blog/edit/${blogData._id}`;
+    const title = escapeHtml(blogData.title);
+    const heading = approved ? 'Your Post Was Approved' : 'Your Post Needs Changes';
+
+    const mailOptions = {
+      from: `"Bahoju Tech" <${process.env.EMAIL_USER}>`,
+      to: authorData.email,
+      subject: approved
+        ? `Approved: ${blogData.title}`
+        : `Changes requested: ${blogData.title}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #0573A0; border-bottom: 2px solid #0573A0; padding-bottom: 10px;">
+            ${heading}
+          </h2>
+          
+          <div style="padding: 20px; background-color: #f8f9fa; border-radius: 8px; margin: 20px 0;">
+            <p style="color: #333; line-height: 1.6;">Hello ${escapeHtml(authorData.name)},</p>
+            <p style="color: #555; line-height: 1.6;">
+              ${approved
+                ? `<strong>${title}</strong> was approved by ${escapeHtml(reviewerName)} and is ready to be published.`
+                : `${escapeHtml(reviewerName)} sent <strong>${title}</strong> back to draft for changes.`}
+            </p>
+            ${comment ? `
+            <div style="background-color: white; padding: 15px; border-left: 4px solid #0573A0; margin: 20px 0;">
+              <p style="color: #555; line-height: 1.6; margin: 0; white-space: pre-wrap;">${escapeHtml(comment)}</p>
+            </div>
+            ` : ''}
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${editUrl}" 
+                 style="background-color: #0573A0; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+                Open Post
+              </a>
+            </div>
+          </div>
+        </div>
+      `
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Blog review email sent:', info.messageId);
+    return info;
+  } catch (error) {
+    console.error('Error sending blog review email:', error);
+    throw error;
+  }
+};
+
+// Send new blog comment notification to admin
+export const sendCommentNotification = async (commentData, blogData) => {
+  try {
+    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+      console.log('Email service not configured. Skipping comment notification.');
+      return;
+    }
+
+    const transporter = createTransporter();
+    const moderationUrl = `${process.env.FRONTEND_URL}/admin/comments`;
+    const pending = commentData.status === 'pending';
+
+    const mailOptions = {
+      from: `"Bahoju Tech Website" <${process.env.EMAIL_USER}>`,
+      to: process.env.EMAIL_USER, // Send admin notifications to your Gmail
+      subject: `New comment on "${blogData.title}"${pending ? ' awaiting moderation' : ''}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #0573A0; border-bottom: 2px solid #0573A0; padding-bottom: 10px;">
+            New Blog Comment
+          </h2>
+          
+          <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <p><strong>Post:</strong> ${escapeHtml(blogData.title)}</p>
+            <p><strong>Name:</strong> ${escapeHtml(commentData.authorName)}</p>
+            <p><strong>Email:</strong> ${escapeHtml(commentData.authorEmail)}</p>
+            <p><strong>Reply:</strong> ${commentData.parent ? 'Yes' : 'No'}</p>
+            <p><strong>Submitted:</strong> ${new Date(commentData.createdAt).toLocaleString()}</p>
+          </div>
+          
+          <div style="background-color: #fff; padding: 20px; border: 1px solid #dee2e6; border-radius: 8px;">
+            <h3 style="color: #333; margin-top: 0;">Comment</h3>
+            <p style="line-height: 1.6; color: #555; white-space: pre-wrap;">${escapeHtml(commentData.content)}</p>
+          </div>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${moderationUrl}" 
+               style="background-color: #0573A0; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+              ${pending ? 'Review Comment' : 'View Comments'}
+            </a>
+          </div>
+        </div>
+      `
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Comment notification email sent:', info.messageId);
+    return info;
+  } catch (error) {
+    console.error('Error sending comment notification email:', error);
+    throw error;
+  }
+};
+
 // Send auto-response email to user based on inquiry type
 export const sendAutoResponseEmail = async (contactData) => {
   try {
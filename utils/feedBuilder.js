@@ -0,0 +1,141 @@
+import { escapeXml } from './htmlHelper.js';
+
+// Builders for syndication feeds. Each takes the same feed description:
+// { title, description, siteUrl, feedUrl, updated, items: [{ url, title, summary,
+//   contentHtml, image, author, publishedAt, updatedAt, categories }] }
+
+export const FEED_FORMATS = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8'
+};
+
+const toDate = (value) => (value ? new Date(value) : new Date());
+
+// Media types of image extensions, for enclosure links
+const IMAGE_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  svg: 'image/svg+xml'
+};
+
+// Media type of an image URL from its extension (null if unknown)
+const getImageType = (url) => {
+  const match = /\.([a-z0-9]+)(?:[?#]|$)/i.exec(String(url));
+  return (match && IMAGE_TYPES[match[1].toLowerCase()]) || null;
+};
+
+// Atom enclosure link for an image, with its type when the extension gives one away
+const atomEnclosure = (image) => {
+  const type = getImageType(image);
+  return `<link rel="enclosure" href="${escapeXml(image)}"${type ? ` type="${type}"` : ''}/>`;
+};
+
+/**
+ * Build an RSS 2.0 feed
+ * @param {Object} feed - Feed description
+ * @returns {string} - XML document
+ */
+export const buildRssFeed = (feed) => {
+  const items = feed.items.map(item => `
+    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="true">${escapeXml(item.url)}</guid>
+      <pubDate>${toDate(item.publishedAt).toUTCString()}</pubDate>
+      <dc:creator>${escapeXml(item.author)}</dc:creator>
+      <description>${escapeXml(item.summary)}</description>${item.contentHtml ? `
+      <content:encoded>${escapeXml(item.contentHtml)}</content:encoded>` : ''}${item.categories.map(category => `
+      <category>${escapeXml(category)}</category>`).join('')}${item.image ? `
+      <media:content url="${escapeXml(item.image)}" medium="image"/>` : ''}
+    </item>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.siteUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>en</language>
+    <lastBuildDate>${toDate(feed.updated).toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>${items}
+  </channel>
+</rss>
+`;
+};
+
+/**
+ * Build an Atom 1.0 feed
+ * @param {Object} feed - Feed description
+ * @returns {string} - XML document
+ */
+export const buildAtomFeed = (feed) => {
+  const entries = feed.items.map(item => `
+  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>
+    <id>${escapeXml(item.url)}</id>
+    <published>${toDate(item.publishedAt).toISOString()}</published>
+    <updated>${toDate(item.updatedAt || item.publishedAt).toISOString()}</updated>
+    <author><name>${escapeXml(item.author)}</name></author>
+    <summary>${escapeXml(item.summary)}</summary>${item.contentHtml ? `
+    <content type="html">${escapeXml(item.contentHtml)}</content>` : ''}${item.categories.map(category => `
+    <category term="${escapeXml(category)}"/>`).join('')}${item.image ? `
+    ${atomEnclosure(item.image)}` : ''}
+  </entry>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.siteUrl)}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}"/>
+  <id>${escapeXml(feed.feedUrl)}</id>
+  <updated>${toDate(feed.updated).toISOString()}</updated>${entries}
+</feed>
+`;
+};
+
+/**
+ * Build a JSON Feed 1.1 document
+ * @param {Object} feed - Feed description
+ * @returns {string} - JSON text
+ */
+export const buildJsonFeed = (feed) => {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.siteUrl,
+    feed_url: feed.feedUrl,
+    description: feed.description,
+    language: 'en',
+    items: feed.items.map(item => ({
+      id: item.url,
+      url: item.url,
+      title: item.title,
+      summary: item.summary,
+      content_html: item.contentHtml || item.summary,
+      ...(item.image && { image: item.image }),
+      date_published: toDate(item.publishedAt).toISOString(),
+      date_modified: toDate(item.updatedAt || item.publishedAt).toISOString(),
+      authors: [{ name: item.author }],
+      tags: item.categories
+    }))
+  }, null, 2);
+};
+
+/**
+ * Build a feed in the requested format
+ * @param {string} format - `rss`, `atom` or `json`
+ * @param {Object} feed - Feed description
+ * @returns {string} - Feed document
+ */
+export const buildFeed = (format, feed) => {
+  if (format === 'atom') return buildAtomFeed(feed);
+  if (format === 'json') return buildJsonFeed(feed);
+  return buildRssFeed(feed);
+};
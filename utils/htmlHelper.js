@@ -0,0 +1,25 @@
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape text for use inside HTML
+ * @param {*} value - Text to escape
+ * @returns {string} - Escaped text
+ */
+export const escapeHtml = (value = '') => {
+  return String(value ?? '').replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+};
+
+/**
+ * Escape text for XML, also removing control characters XML 1.0 does not allow
+ * @param {*} value - Text to escape
+ * @returns {string} - Escaped text
+ */
+export const escapeXml = (value = '') => {
+  return escapeHtml(String(value ?? '').replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, ''));
+};
@@ -0,0 +1,44 @@
+import { body } from 'express-validator';
+import passwordPolicy from '../config/passwordPolicy.js';
+
+/**
+ * Check a password against the configured policy
+ * @param {string} password - Plain text password
+ * @returns {string[]} - List of unmet requirements (empty if the password is acceptable)
+ */
+export const getPasswordPolicyErrors = (password = '') => {
+  const errors = [];
+
+  if (password.length < passwordPolicy.minLength) {
+    errors.push(`Password must be at least ${passwordPolicy.minLength} characters`);
+  }
+  if (passwordPolicy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('Password must contain an uppercase letter');
+  }
+  if (passwordPolicy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push('Password must contain a lowercase letter');
+  }
+  if (passwordPolicy.requireNumber && !/[0-9]/.test(password)) {
+    errors.push('Password must contain a number');
+  }
+  if (passwordPolicy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Password must contain a symbol');
+  }
+
+  return errors;
+};
+
+/**
+ * express-validator chain enforcing the password policy on a body field
+ * @param {string} field - Body field holding the new password
+ * @returns {Object} - Validation chain
+ */
+export const passwordPolicyRule = (field = 'password') => {
+  return body(field).custom(value => {
+    const errors = getPasswordPolicyErrors(typeof value === 'string' ? value : '');
+    if (errors.length > 0) {
+      throw new Error(errors.join(', '));
+    }
+    return true;
+  });
+};
@@ -0,0 +1,8 @@
+/**
+ * Escape user input for safe use inside a regular expression
+ * @param {string} value - Raw user input
+ * @returns {string} - Input with regex metacharacters escaped
+ */
+export const escapeRegex = (value = '') => {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
@@ -0,0 +1,89 @@
+import Blog from '../models/Blog.js';
+import BlogReaction from '../models/BlogReaction.js';
+
+// Most likes or reactions of one type a post accepts from one IP address and user agent,
+// allowing for readers sharing a network who drop cookies
+const MAX_PER_FINGERPRINT = 5;
+
+// Blog field counting a reaction type
+const counterField = (type) => (type === 'like' ? 'likes' : `reactions.${type}`);
+
+// Views and reactions don't count as edits, so updatedAt is left alone
+const adjustCounter = (blog, type, amount) => {
+  return Blog.updateOne(
+    { _id: blog._id },
+    { $inc: { [counterField(type)]: amount } },
+    { timestamps: false }
+  );
+};
+
+/**
+ * Add a like or reaction from a visitor
+ * @param {Object} blog - Blog document
+ * @param {string} type - `like` or a reaction type
+ * @param {{id: string, fingerprint: string}} visitor - Visitor from identifyVisitor
+ * @returns {Promise<{added: boolean, limited: boolean}>} - Whether it was added, or refused for the fingerprint
+ */
+export const addReaction = async (blog, type, visitor) => {
+  const fromFingerprint = await BlogReaction.countDocuments({
+    blog: blog._id,
+    fingerprint: visitor.fingerprint,
+    type
+  });
+  if (fromFingerprint >= MAX_PER_FINGERPRINT) {
+    return { added: false, limited: true };
+  }
+
+  try {
+    await BlogReaction.create({
+      blog: blog._id,
+      type,
+      visitor: visitor.id,
+      fingerprint: visitor.fingerprint
+    });
+  } catch (error) {
+    // Already there
+    if (error.code === 11000) return { added: false, limited: false };
+    throw error;
+  }
+
+  await adjustCounter(blog, type, 1);
+  return { added: true, limited: false };
+};
+
+/**
+ * Remove a visitor's like or reaction
+ * @param {Object} blog - Blog document
+ * @param {string} type - `like` or a reaction type
+ * @param {{id: string}} visitor - Visitor from identifyVisitor
+ * @returns {Promise<boolean>} - True if there was one to remove
+ */
+export const removeReaction = async (blog, type, visitor) => {
+  const result = await BlogReaction.deleteOne({ blog: blog._id, type, visitor: visitor.id });
+  if (result.deletedCount === 0) {
+    return false;
+  }
+
+  await adjustCounter(blog, type, -1);
+  return true;
+};
+
+/**
+ * Get a post's like and reaction counts and what the visitor has left
+ * @param {Object} blog - Blog document (needs likes and reactions)
+ * @param {{id: string}} visitor - Visitor from identifyVisitor
+ * @returns {Promise<Object>} - likes, reactions and the visitor's own
+ */
+export const getReactionSummary = async (blog, visitor) => {
+  const own = await BlogReaction.find({ blog: blog._id, visitor: visitor.id }).select('type');
+  const ownTypes = own.map(reaction => reaction.type);
+
+  return {
+    likes: blog.likes,
+    reactions: blog.reactions,
+    visitor: {
+      liked: ownTypes.includes('like'),
+      reactions: ownTypes.filter(type => type !== 'like')
+    }
+  };
+};
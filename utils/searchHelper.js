@@ -0,0 +1,83 @@
+import { escapeRegex } from './queryHelper.js';
+import { escapeHtml } from './htmlHelper.js';
+
+const SNIPPET_LENGTH = 160;
+
+/**
+ * Get the words to highlight from a search query (quotes and excluded `-words` are dropped)
+ * @param {string} search - Search query as typed
+ * @returns {string[]} - Lowercased terms
+ */
+export const getSearchTerms = (search = '') => {
+  return [...new Set(
+    String(search)
+      .replace(/"/g, ' ')
+      .split(/\s+/)
+      .filter(term => term && !term.startsWith('-'))
+      .map(term => term.toLowerCase().replace(/[^\p{L}\p{N}]/gu, ''))
+      .filter(term => term.length >= 2)
+  )];
+};
+
+// Words starting with any term, so "design" also highlights "designs" and "designing"
+const termsPattern = (terms) => {
+  return new RegExp(`(?<![\\p{L}\\p{N}])(${terms.map(escapeRegex).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+};
+
+/**
+ * Escape text for HTML and wrap matching words in <mark>
+ * @param {string} text - Plain text
+ * @param {string[]} terms - Terms from getSearchTerms
+ * @returns {string} - Safe HTML
+ */
+export const highlightText = (text = '', terms = []) => {
+  if (!text || terms.length === 0) {
+    return escapeHtml(text);
+  }
+
+  const pattern = termsPattern(terms);
+  let output = '';
+  let lastIndex = 0;
+
+  for (const match of String(text).matchAll(pattern)) {
+    output += escapeHtml(text.slice(lastIndex, match.index));
+    output += `<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+
+  return output + escapeHtml(text.slice(lastIndex));
+};
+
+/**
+ * Cut a highlighted snippet around the first matching word
+ * @param {string} text - Plain text to take the snippet from
+ * @param {string[]} terms - Terms from getSearchTerms
+ * @param {number} length - Approximate snippet length in characters
+ * @returns {string} - Safe HTML snippet, or '' if nothing matches
+ */
+export const buildSnippet = (text = '', terms = [], length = SNIPPET_LENGTH) => {
+  if (!text || terms.length === 0) {
+    return '';
+  }
+
+  const match = termsPattern(terms).exec(text);
+  if (!match) {
+    return '';
+  }
+
+  // Start a little before the match, on a word boundary
+  let start = Math.max(0, match.index - Math.floor(length / 3));
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space === -1 || space > match.index ? start : space + 1;
+  }
+
+  let end = Math.min(text.length, start + length);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    end = space > match.index ? space : end;
+  }
+
+  const snippet = text.slice(start, end).replace(/\s+/g, ' ');
+  return `${start > 0 ? '…' : ''}${highlightText(snippet, terms)}${end < text.length ? '…' : ''}`;
+};
@@ -0,0 +1,127 @@
+import { escapeHtml, escapeXml } from './htmlHelper.js';
+import { SITE_NAME, getSiteUrl, getPostUrl } from '../config/site.js';
+
+const DESCRIPTION_LENGTH = 160;
+
+// Shorten text to a length on a word boundary
+const truncate = (text = '', length) => {
+  const clean = String(text).replace(/\s+/g, ' ').trim();
+  if (clean.length <= length) return clean;
+  const cut = clean.slice(0, length - 1);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}…`;
+};
+
+/**
+ * Build an XML sitemap
+ * @param {Array<{loc: string, lastmod: Date}>} urls - Page URLs
+ * @returns {string} - XML document
+ */
+export const buildSitemap = (urls) => {
+  const entries = urls.map(url => `
+  <url>
+    <loc>${escapeXml(url.loc)}</loc>${url.lastmod ? `
+    <lastmod>${new Date(url.lastmod).toISOString()}</lastmod>` : ''}
+  </url>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${entries}
+</urlset>
+`;
+};
+
+/**
+ * Build an XML sitemap index
+ * @param {Array<{loc: string, lastmod: Date}>} sitemaps - Sitemap URLs
+ * @returns {string} - XML document
+ */
+export const buildSitemapIndex = (sitemaps) => {
+  const entries = sitemaps.map(sitemap => `
+  <sitemap>
+    <loc>${escapeXml(sitemap.loc)}</loc>${sitemap.lastmod ? `
+    <lastmod>${new Date(sitemap.lastmod).toISOString()}</lastmod>` : ''}
+  </sitemap>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${entries}
+</sitemapindex>
+`;
+};
+
+/**
+ * Build SEO metadata for a published blog post. Missing SEO fields fall back to the
+ * post's title, excerpt and tags.
+ * @param {Object} blog - Blog document with author populated
+ * @returns {Object} - title, description, canonical, meta tags, JSON-LD and ready-to-render HTML
+ */
+export const buildBlogMeta = (blog) => {
+  const seo = blog.seo || {};
+  const url = getPostUrl(blog.slug);
+  const title = seo.metaTitle || blog.title;
+  const description = truncate(seo.metaDescription || blog.excerpt, DESCRIPTION_LENGTH);
+  const keywords = seo.keywords && seo.keywords.length > 0 ? seo.keywords : blog.tags || [];
+  const image = blog.featuredImageCloudinary?.url || blog.featuredImage || null;
+  const authorName = blog.author ? blog.author.name : SITE_NAME;
+  const published = blog.publishedAt ? new Date(blog.publishedAt).toISOString() : null;
+  const modified = new Date(blog.updatedAt || blog.publishedAt || Date.now()).toISOString();
+
+  const meta = [
+    { name: 'description', content: description },
+    ...(keywords.length > 0 ? [{ name: 'keywords', content: keywords.join(', ') }] : []),
+    { name: 'author', content: authorName },
+
+    // Open Graph
+    { property: 'og:type', content: 'article' },
+    { property: 'og:site_name', content: SITE_NAME },
+    { property: 'og:title', content: title },
+    { property: 'og:description', content: description },
+    { property: 'og:url', content: url },
+    ...(image ? [{ property: 'og:image', content: image }] : []),
+    ...(published ? [{ property: 'article:published_time', content: published }] : []),
+    { property: 'article:modified_time', content: modified },
+    { property: 'article:section', content: blog.category },
+    ...(blog.tags || []).map(tag => ({ property: 'article:tag', content: tag })),
+
+    // Twitter card
+    { name: 'twitter:card', content: image ? 'summary_large_image' : 'summary' },
+    { name: 'twitter:title', content: title },
+    { name: 'twitter:description', content: description },
+    ...(image ? [{ name: 'twitter:image', content: image }] : [])
+  ];
+
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'BlogPosting',
+    headline: truncate(blog.title, 110),
+    description,
+    ...(image && { image: [image] }),
+    ...(published && { datePublished: published }),
+    dateModified: modified,
+    author: { '@type': 'Person', name: authorName },
+    publisher: { '@type': 'Organization', name: SITE_NAME, url: getSiteUrl() },
+    mainEntityOfPage: { '@type': 'WebPage', '@id': url },
+    articleSection: blog.category,
+    ...(keywords.length > 0 && { keywords: keywords.join(', ') })
+  };
+
+  // `<` is escaped so post text can't close the script tag
+  const jsonLdScript = JSON.stringify(jsonLd).replace(/</g, '\\u003c');
+
+  const html = [
+    `<title>${escapeHtml(title)}</title>`,
+    `<link rel="canonical" href="${escapeHtml(url)}">`,
+    ...meta.map(tag => tag.property
+      ? `<meta property="${escapeHtml(tag.property)}" content="${escapeHtml(tag.content)}">`
+      : `<meta name="${escapeHtml(tag.name)}" content="${escapeHtml(tag.content)}">`),
+    `<script type="application/ld+json">${jsonLdScript}</script>`
+  ].join('\n');
+
+  return {
+    title,
+    description,
+    canonical: url,
+    image,
+    meta,
+    jsonLd,
+    html
+  };
+};
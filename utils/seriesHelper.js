@@ -0,0 +1,37 @@
+import Blog from '../models/Blog.js';
+
+// Fields of a post shown in series listings and navigation
+export const SERIES_POST_FIELDS = 'title slug excerpt featuredImage featuredImageCloudinary readTime publishedAt';
+
+/**
+ * Load the published posts of a series in reading order
+ * @param {Object} series - Series document
+ * @returns {Promise<Object>} - The series with `posts` populated, unpublished posts left out
+ */
+export const populatePublishedPosts = (series) => {
+  return series.populate({
+    path: 'posts',
+    match: Blog.publicFilter(),
+    select: SERIES_POST_FIELDS
+  });
+};
+
+/**
+ * Work out where a post sits in a series and its neighbours
+ * @param {Array<Object>} posts - Series posts in reading order
+ * @param {string|Object} blogId - Post to place
+ * @returns {{position: number, total: number, previous: Object|null, next: Object|null}|null} - 1-based position, or null if the post isn't in the list
+ */
+export const getSeriesNavigation = (posts, blogId) => {
+  const index = posts.findIndex(post => String(post._id) === String(blogId));
+  if (index === -1) {
+    return null;
+  }
+
+  return {
+    position: index + 1,
+    total: posts.length,
+    previous: index > 0 ? posts[index - 1] : null,
+    next: index < posts.length - 1 ? posts[index + 1] : null
+  };
+};
@@ -0,0 +1,122 @@
+import Session from '../models/Session.js';
+import { generateToken } from '../middleware/auth.js';
+import { createToken, hashToken } from './tokenHelper.js';
+
+// Number of rotated refresh tokens remembered per session for reuse detection
+const PREVIOUS_TOKEN_LIMIT = 20;
+
+const getRefreshExpiry = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Build a short human readable device label from a user agent
+ * @param {string} userAgent - User agent header
+ * @returns {string} - Label such as "Chrome on Windows"
+ */
+export const describeDevice = (userAgent = '') => {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//],
+    ['curl', /curl\//],
+    ['Postman', /PostmanRuntime/]
+  ];
+  const systems = [
+    ['Windows', /Windows/],
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (browser && system) return `${browser[0]} on ${system[0]}`;
+  if (browser) return browser[0];
+  if (system) return `Unknown browser on ${system[0]}`;
+  return 'Unknown device';
+};
+
+const buildTokenResponse = (admin, session, refreshToken) => ({
+  token: generateToken(admin._id, session._id),
+  refreshToken,
+  refreshTokenExpiresAt: session.expiresAt,
+  sessionId: session._id
+});
+
+/**
+ * Start a new session for an admin and issue its tokens
+ * @param {Object} admin - Admin document
+ * @param {Object} req - Express request (used for device and IP)
+ * @returns {Promise<Object>} - Access token, refresh token and session id
+ */
+export const createSession = async (admin, req) => {
+  const { token: refreshToken, hashedToken } = createToken(48);
+  const userAgent = req.get('user-agent') || '';
+
+  const session = await Session.create({
+    admin: admin._id,
+    refreshToken: hashedToken,
+    device: describeDevice(userAgent),
+    userAgent,
+    ip: req.ip,
+    expiresAt: getRefreshExpiry()
+  });
+
+  return buildTokenResponse(admin, session, refreshToken);
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * Reusing an already rotated refresh token revokes the whole session.
+ * @param {string} refreshToken - Raw refresh token
+ * @param {Object} req - Express request (used for IP)
+ * @returns {Promise<Object|null>} - New tokens, or null if the token is not valid
+ */
+export const rotateSession = async (refreshToken, req) => {
+  const hashedToken = hashToken(refreshToken);
+  const { token: newRefreshToken, hashedToken: newHashedToken } = createToken(48);
+  const now = new Date();
+
+  // Swap the token atomically so two concurrent refreshes cannot both succeed
+  const session = await Session.findOneAndUpdate(
+    { refreshToken: hashedToken, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      refreshToken: newHashedToken,
+      lastUsedAt: now,
+      ip: req.ip,
+      $push: { previousTokens: { $each: [hashedToken], $slice: -PREVIOUS_TOKEN_LIMIT } }
+    },
+    { new: true }
+  ).populate('admin');
+
+  if (!session) {
+    // A rotated token showing up again means it was stolen; end that session
+    const reused = await Session.findOne({ previousTokens: hashedToken, revokedAt: null });
+    if (reused) {
+      await reused.revoke('refresh_token_reuse');
+    }
+    return null;
+  }
+
+  if (!session.admin) {
+    await session.revoke('admin_removed');
+    return null;
+  }
+
+  if (!session.admin.isActive) {
+    await session.revoke('admin_deactivated');
+    return null;
+  }
+
+  return buildTokenResponse(session.admin, session, newRefreshToken);
+};
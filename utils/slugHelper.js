@@ -0,0 +1,13 @@
+/**
+ * Turn text into a URL slug ("Cloud Computing & AI" -> "cloud-computing-ai")
+ * @param {string} text - Text to convert
+ * @returns {string} - Lowercase slug of letters, numbers and hyphens
+ */
+export const slugify = (text = '') => {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, '')
+    .trim()
+    .replace(/[\s-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
@@ -0,0 +1,105 @@
+// Larger inputs fall back to a plain "removed everything, added everything" diff
+const MAX_DIFF_CELLS = 1000000;
+
+// Split text into lines; empty text has no lines at all
+const toLines = (text) => {
+  return text ? String(text).split(/\r?\n/) : [];
+};
+
+// Append lines to the diff, merging with the previous part when it has the same type
+const pushPart = (parts, type, lines) => {
+  if (lines.length === 0) return;
+
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) {
+    last.lines.push(...lines);
+  } else {
+    parts.push({ type, lines: [...lines] });
+  }
+};
+
+// Longest common subsequence diff of two line arrays
+const diffMiddle = (before, after, parts) => {
+  const rows = before.length;
+  const cols = after.length;
+
+  if (rows * cols > MAX_DIFF_CELLS) {
+    pushPart(parts, 'removed', before);
+    pushPart(parts, 'added', after);
+    return;
+  }
+
+  // lengths[i][j] = LCS length of before[i..] and after[j..]
+  const lengths = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lengths[i][j] = before[i] === after[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (before[i] === after[j]) {
+      pushPart(parts, 'unchanged', [before[i]]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      pushPart(parts, 'removed', [before[i]]);
+      i++;
+    } else {
+      pushPart(parts, 'added', [after[j]]);
+      j++;
+    }
+  }
+  pushPart(parts, 'removed', before.slice(i));
+  pushPart(parts, 'added', after.slice(j));
+};
+
+/**
+ * Line-based diff of two texts
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array<{type: string, lines: string[]}>} - Parts of type `unchanged`, `removed` or `added`, in order
+ */
+export const diffLines = (before = '', after = '') => {
+  const oldLines = toLines(before);
+  const newLines = toLines(after);
+  const parts = [];
+
+  // Skip the common start and end so long posts with small edits stay cheap
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+
+  let end = 0;
+  while (
+    end < oldLines.length - start &&
+    end < newLines.length - start &&
+    oldLines[oldLines.length - 1 - end] === newLines[newLines.length - 1 - end]
+  ) {
+    end++;
+  }
+
+  pushPart(parts, 'unchanged', oldLines.slice(0, start));
+  diffMiddle(oldLines.slice(start, oldLines.length - end), newLines.slice(start, newLines.length - end), parts);
+  pushPart(parts, 'unchanged', oldLines.slice(oldLines.length - end));
+
+  return parts;
+};
+
+/**
+ * Count added and removed lines in a diff
+ * @param {Array<{type: string, lines: string[]}>} parts - Result of diffLines
+ * @returns {{added: number, removed: number}} - Line counts
+ */
+export const summarizeDiff = (parts) => {
+  return parts.reduce((summary, part) => {
+    if (part.type === 'added') summary.added += part.lines.length;
+    if (part.type === 'removed') summary.removed += part.lines.length;
+    return summary;
+  }, { added: 0, removed: 0 });
+};
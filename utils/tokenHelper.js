@@ -0,0 +1,68 @@
+import crypto from 'crypto';
+
+/**
+ * Hash a token for storage so the raw value never sits in the database
+ * @param {string} token - Raw token
+ * @returns {string} - SHA-256 hex digest
+ */
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Generate a random URL-safe token together with its hash
+ * @param {number} bytes - Number of random bytes
+ * @returns {{ token: string, hashedToken: string }} - Raw token (send to the user) and hash (store)
+ */
+export const createToken = (bytes = 32) => {
+  const token = crypto.randomBytes(bytes).toString('hex');
+  return { token, hashedToken: hashToken(token) };
+};
+
+/**
+ * Compare two secrets in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} - True if both values are equal
+ */
+export const safeCompare = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+
+  if (bufferA.length !== bufferB.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Sign a value so it can be handed to a client and trusted when it comes back
+ * @param {string} value - Value to sign (must not contain a dot)
+ * @param {string} secret - Signing secret
+ * @returns {string} - `value.signature`
+ */
+export const signValue = (value, secret) => {
+  const signature = crypto.createHmac('sha256', String(secret)).update(String(value)).digest('base64url');
+  return `${value}.${signature}`;
+};
+
+/**
+ * Check a value signed with signValue
+ * @param {string} signed - `value.signature`
+ * @param {string} secret - Signing secret
+ * @returns {string|null} - The value, or null if the signature does not match
+ */
+export const unsignValue = (signed, secret) => {
+  if (typeof signed !== 'string') {
+    return null;
+  }
+
+  const index = signed.lastIndexOf('.');
+  if (index <= 0) {
+    return null;
+  }
+
+  const value = signed.slice(0, index);
+  return safeCompare(signValue(value, secret), signed) ? value : null;
+};
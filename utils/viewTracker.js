@@ -0,0 +1,113 @@
+import Blog from '../models/Blog.js';
+import BlogView from '../models/BlogView.js';
+import BlogViewStats from '../models/BlogViewStats.js';
+import { hashToken } from './tokenHelper.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// User agents of crawlers, link previewers, monitors and HTTP libraries. Tokens are specific
+// (named previewers rather than words like "preview"), so in-app browsers such as Discord's or
+// Telegram's, which name the app in their user agent, are still counted.
+const BOT_PATTERN = new RegExp([
+  'bot', 'crawler', 'spider', 'slurp', 'headless', 'phantomjs', 'puppeteer', 'playwright', 'selenium',
+  'lighthouse', 'pagespeed', 'google-inspectiontool', 'facebookexternalhit', 'facebookcatalog',
+  'embedly', 'quora link preview', 'skypeuripreview', '^whatsapp/', 'pingdom', 'statuscake', 'site24x7',
+  '^curl/', '^wget/', 'python-requests', 'python-urllib', 'aiohttp', 'apache-httpclient', 'okhttp',
+  '^axios/', 'node-fetch', 'undici', 'go-http-client', '^java/', 'libwww-perl', 'postmanruntime', 'insomnia/'
+].join('|'), 'i');
+
+// How long repeat views by the same visitor are not counted
+const getDedupWindowMs = () => {
+  return (parseInt(process.env.BLOG_VIEW_DEDUP_MINUTES) || 30) * 60 * 1000;
+};
+
+/**
+ * Check whether a request comes from a bot rather than a reader
+ * @param {string} userAgent - User-Agent header
+ * @returns {boolean} - True for bots and requests without a user agent
+ */
+export const isBot = (userAgent) => {
+  return !userAgent || BOT_PATTERN.test(userAgent);
+};
+
+/**
+ * Identify a visitor without storing their IP address
+ * @param {Object} req - Express request
+ * @returns {string} - Hash of the IP address and user agent
+ */
+export const getVisitorId = (req) => {
+  return hashToken(`${req.ip}|${req.get('user-agent') || ''}`);
+};
+
+/**
+ * Get the start of a day in UTC
+ * @param {Date} date - Any time on the day
+ * @returns {Date} - Midnight UTC
+ */
+export const startOfDay = (date = new Date()) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Count a view of a published post, ignoring bots and repeat views within the dedup window
+ * @param {Object} blog - Blog document (needs _id and category)
+ * @param {Object} req - Express request
+ * @returns {Promise<boolean>} - True if the view was counted
+ */
+export const recordBlogView = async (blog, req) => {
+  if (isBot(req.get('user-agent'))) {
+    return false;
+  }
+
+  const now = new Date();
+  const visitor = getVisitorId(req);
+  const expiresAt = new Date(now.getTime() + getDedupWindowMs());
+
+  try {
+    await BlogView.create({ blog: blog._id, visitor, expiresAt });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // A record exists: count the view only if its window has ended but MongoDB hasn't removed it yet
+    const renewed = await BlogView.updateOne(
+      { blog: blog._id, visitor, expiresAt: { $lte: now } },
+      { expiresAt }
+    );
+    if (renewed.modifiedCount === 0) return false;
+  }
+
+  // Views don't count as edits, so updatedAt (used by feeds and sitemaps) is left alone
+  await Promise.all([
+    Blog.updateOne({ _id: blog._id }, { $inc: { views: 1 } }, { timestamps: false }),
+    BlogViewStats.updateOne(
+      { blog: blog._id, date: startOfDay(now) },
+      { $inc: { views: 1 }, $set: { category: blog.category } },
+      { upsert: true }
+    )
+  ]);
+
+  return true;
+};
+
+/**
+ * Turn daily totals into a continuous series, filling days without views with zero
+ * @param {Array<{date: Date, views: number}>} rows - Daily totals
+ * @param {Date} from - First day
+ * @param {Date} to - Last day
+ * @returns {Array<{date: string, views: number}>} - One entry per day (YYYY-MM-DD)
+ */
+export const buildDailySeries = (rows, from, to) => {
+  const viewsByDay = new Map(rows.map(row => [startOfDay(row.date).getTime(), row.views]));
+  const series = [];
+
+  for (let day = startOfDay(from).getTime(); day <= startOfDay(to).getTime(); day += DAY_MS) {
+    series.push({
+      date: new Date(day).toISOString().slice(0, 10),
+      views: viewsByDay.get(day) || 0
+    });
+  }
+
+  return series;
+};